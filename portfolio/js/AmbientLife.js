@@ -0,0 +1,441 @@
+// AmbientLife.js
+import * as THREE from 'three';
+import { OccupancyGrid } from './OccupancyGrid.js';
+import { SeededRandom } from './SeededRandom.js';
+
+// 도시의 배경 움직임 - 차선을 따라 도로를 도는 자동차와 인도/광장을 거니는 보행자
+// 둘 다 인스턴스 메시 하나씩으로 그리고, 플레이어 캐릭터 가까이에서는 멈추거나 비켜섬
+export class AmbientLife {
+  // 품질 설정별 밀도 배율
+  static DENSITY = { low: 0.3, medium: 0.6, high: 1 };
+
+  // 자동차 색상
+  static CAR_COLORS = [0xd9534f, 0x5d738b, 0xf5f5f5, 0x2b2d31, 0xf0ad4e, 0x7ea8c4, 0x8fb996];
+
+  // 보행자 옷 색상
+  static PEDESTRIAN_COLORS = [0x5d738b, 0xc97b63, 0x8fb996, 0xe8c170, 0x6b5b95, 0x3e4a59];
+
+  constructor(scene, roadNetwork, occupancy, options = {}) {
+    const {
+      cars = 24,            // high 품질 기준 자동차 수
+      pedestrians = 30,     // high 품질 기준 보행자 수
+      quality = 'high',
+      carSpeed = 8,
+      pedestrianSpeed = 1.4,
+      stopTime = 1.5,       // 교차로 정지 시간 (초)
+      plazaRadius = 25,
+      random = new SeededRandom('ambient')
+    } = options;
+
+    this.scene = scene;
+    this.network = roadNetwork;
+    this.occupancy = occupancy;
+    this.random = random;
+    this.carSpeed = carSpeed;
+    this.pedestrianSpeed = pedestrianSpeed;
+    this.stopTime = stopTime;
+    this.plazaRadius = plazaRadius;
+
+    const density = AmbientLife.DENSITY[quality] ?? 1;
+
+    // 재사용 객체
+    this.matrix = new THREE.Matrix4();
+    this.position = new THREE.Vector3();
+    this.rotation = new THREE.Quaternion();
+    this.scale = new THREE.Vector3(1, 1, 1);
+    this.up = new THREE.Vector3(0, 1, 0);
+
+    this.cars = [];
+    this.pedestrians = [];
+    this.meshes = [];
+
+    // 자동차를 따라다니는 빈 객체 (위치 소리 부착용) - 자동차 번호별
+    this.carAnchors = [];
+
+    if (this.network.edges.length > 0) {
+      this.createCars(Math.round(cars * density));
+    }
+    this.createPedestrians(Math.round(pedestrians * density));
+  }
+
+  // 인스턴스 메시 생성 - 인스턴스별 색상 지정
+  createInstances(name, geometry, material, count, colors = null) {
+    const mesh = new THREE.InstancedMesh(geometry, material, count);
+    mesh.name = name;
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // 인스턴스가 계속 움직이므로 생성 시점 경계로 컬링하지 않음 (그림자 맵도 정적이라 그림자 없음)
+    mesh.frustumCulled = false;
+
+    if (colors) {
+      const color = new THREE.Color();
+      for (let i = 0; i < count; i++) {
+        mesh.setColorAt(i, color.set(this.random.pick(colors)));
+      }
+    }
+
+    this.scene.add(mesh);
+    this.meshes.push(mesh);
+    return mesh;
+  }
+
+  createCars(count) {
+    if (count <= 0) return;
+
+    // 로컬 +x 축이 진행 방향 (RoadNetwork 간선 각도와 같은 기준)
+    const bodyGeometry = new THREE.BoxGeometry(3.6, 0.8, 1.7);
+    bodyGeometry.translate(0, 0.6, 0);
+    const cabinGeometry = new THREE.BoxGeometry(1.9, 0.6, 1.5);
+    cabinGeometry.translate(-0.3, 1.3, 0);
+
+    this.carBodies = this.createInstances('car-bodies', bodyGeometry,
+      new THREE.MeshStandardMaterial({ roughness: 0.4, metalness: 0.5 }), count, AmbientLife.CAR_COLORS);
+    this.carCabins = this.createInstances('car-cabins', cabinGeometry,
+      new THREE.MeshStandardMaterial({ color: 0x2f3b45, roughness: 0.2, metalness: 0.6 }), count);
+
+    for (let i = 0; i < count; i++) {
+      const edge = this.random.pick(this.network.edges);
+      const car = {
+        edge,
+        forward: this.random.chance(0.5),
+        distance: this.random.range(0, edge.length),
+        speed: this.carSpeed * this.random.range(0.8, 1.2),
+        currentSpeed: 0,
+        wait: 0,
+        stopped: false,
+        position: new THREE.Vector3(),
+        heading: 0
+      };
+
+      car.next = this.chooseNext(car);
+      this.getLanePose(car, car.position);
+      car.heading = this.getLaneHeading(car);
+      this.cars.push(car);
+    }
+  }
+
+  // 진행 방향 오른쪽 차선의 위치 (pointAlong 오프셋은 from→to 방향 기준 오른쪽이 +)
+  getLanePose(car, target) {
+    const { edge, forward, distance } = car;
+    const t = forward ? distance / edge.length : 1 - distance / edge.length;
+    const lane = edge.width / 4;
+    const point = this.network.pointAlong(edge, t, forward ? lane : -lane);
+    return target.set(point.x, 0, point.z);
+  }
+
+  getLaneHeading(car) {
+    return car.forward ? car.edge.angle : car.edge.angle + Math.PI;
+  }
+
+  // 다가가는 노드에서 이어갈 간선을 미리 고름 - 막다른 길이 아니면 왔던 길은 제외
+  // 미리 정해 두어야 다음 간선 첫머리에 선 차도 앞차로 볼 수 있음 (gapAhead)
+  chooseNext(car) {
+    const node = car.forward ? car.edge.to : car.edge.from;
+    const options = node.edges.filter(edge => edge !== car.edge);
+    const edge = options.length > 0 ? this.random.pick(options) : car.edge;
+    return { edge, forward: edge.from === node };
+  }
+
+  // 도착한 노드에서 미리 고른 간선으로
+  nextEdge(car) {
+    car.edge = car.next.edge;
+    car.forward = car.next.forward;
+    car.distance = 0;
+    car.stopped = false;
+    car.next = this.chooseNext(car);
+  }
+
+  // index번 자동차를 따라다니는 객체 - 없으면 null
+  getCarAnchor(index) {
+    const car = this.cars[index];
+    if (!car) return null;
+
+    if (!this.carAnchors[index]) {
+      const anchor = new THREE.Object3D();
+      anchor.position.copy(car.position);
+      this.scene.add(anchor);
+      this.carAnchors[index] = anchor;
+    }
+    return this.carAnchors[index];
+  }
+
+  // 같은 차선 앞차와의 거리 (없으면 Infinity)
+  // 다음 간선 첫머리의 차와, 다른 길에서 같은 간선으로 합류하려는 차 중 노드에 더 가까운 차도 앞차로 봄
+  // - 교차로를 막 지나 선 차나 동시에 들어오는 차와 겹치지 않도록
+  gapAhead(car) {
+    const remaining = car.edge.length - car.distance;
+    let gap = Infinity;
+    this.cars.forEach(other => {
+      if (other === car) return;
+
+      let distance;
+      if (other.edge === car.edge && other.forward === car.forward) {
+        distance = other.distance - car.distance;
+      } else if (other.edge === car.next.edge && other.forward === car.next.forward) {
+        distance = remaining + other.distance;
+      } else if (other.next.edge === car.next.edge && other.next.forward === car.next.forward) {
+        distance = remaining - (other.edge.length - other.distance);
+      } else {
+        return;
+      }
+      if (distance > 0 && distance < gap) gap = distance;
+    });
+    return gap;
+  }
+
+  // 진행 방향 앞쪽 가까이, 도로 위에 플레이어가 있는지
+  isPlayerAhead(car, playerPosition) {
+    if (!playerPosition) return false;
+
+    const dx = playerPosition.x - car.position.x;
+    const dz = playerPosition.z - car.position.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance > 7) return false;
+
+    // 도로 폭 밖 (옆 인도 등)에 있으면 무시 - 진행 방향에 수직인 거리
+    const side = dx * Math.sin(car.heading) + dz * Math.cos(car.heading);
+    if (Math.abs(side) > car.edge.width / 2 + 1) return false;
+
+    // 진행 방향 단위 벡터 (angle = atan2(-dz, dx))
+    const ahead = dx * Math.cos(car.heading) - dz * Math.sin(car.heading);
+    return distance < 2.5 || ahead > 0;
+  }
+
+  updateCar(car, delta, playerPosition) {
+    const node = car.forward ? car.edge.to : car.edge.from;
+    const intersection = this.network.isIntersection(node);
+
+    // 교차로 정지선 - 횡단보도 앞에서 잠시 멈춤
+    const stopLine = car.edge.length - (intersection ? this.network.junctionRadius(node) + 3 : 0);
+    if (intersection && !car.stopped && car.distance >= stopLine) {
+      car.stopped = true;
+      car.wait = this.stopTime * this.random.range(0.6, 1.4);
+    }
+
+    // 목표 속도 - 정지 중, 앞차, 플레이어에 따라 감속
+    let targetSpeed = car.speed;
+    if (car.wait > 0) {
+      car.wait -= delta;
+      targetSpeed = 0;
+    } else if (this.gapAhead(car) < 6 || this.isPlayerAhead(car, playerPosition)) {
+      targetSpeed = 0;
+    }
+
+    // 부드러운 가감속
+    car.currentSpeed = THREE.MathUtils.damp(car.currentSpeed, targetSpeed, 4, delta);
+    car.distance += car.currentSpeed * delta;
+
+    // 간선 끝에 도달하면 다음 도로로 (계속 순환)
+    while (car.distance >= car.edge.length) {
+      const overflow = car.distance - car.edge.length;
+      this.nextEdge(car);
+      car.distance = Math.min(overflow, car.edge.length);
+    }
+
+    // 간선이 바뀔 때 차선 위치와 방향이 튀지 않도록 보간
+    const target = this.getLanePose(car, this.position);
+    car.position.lerp(target, 1 - Math.exp(-10 * delta));
+
+    const headingDelta = Math.atan2(
+      Math.sin(this.getLaneHeading(car) - car.heading),
+      Math.cos(this.getLaneHeading(car) - car.heading)
+    );
+    car.heading += headingDelta * (1 - Math.exp(-6 * delta));
+  }
+
+  createPedestrians(count) {
+    if (count <= 0) return;
+
+    const bodyGeometry = new THREE.CapsuleGeometry(0.25, 0.9, 2, 8);
+    bodyGeometry.translate(0, 0.7, 0);
+    const headGeometry = new THREE.SphereGeometry(0.2, 8, 6);
+    headGeometry.translate(0, 1.55, 0);
+
+    this.pedestrianBodies = this.createInstances('pedestrian-bodies', bodyGeometry,
+      new THREE.MeshStandardMaterial({ roughness: 0.8 }), count, AmbientLife.PEDESTRIAN_COLORS);
+    this.pedestrianHeads = this.createInstances('pedestrian-heads', headGeometry,
+      new THREE.MeshStandardMaterial({ color: 0xe0b89a, roughness: 0.7 }), count);
+
+    for (let i = 0; i < count; i++) {
+      // 절반 정도는 광장, 나머지는 인도 한쪽을 오가며 산책
+      const sidewalk = this.network.edges.length > 0 && this.random.chance(0.5)
+        ? this.createSidewalkRoute()
+        : null;
+
+      const pedestrian = {
+        sidewalk,
+        position: new THREE.Vector3(),
+        target: new THREE.Vector3(),
+        heading: this.random.range(0, Math.PI * 2),
+        speed: this.pedestrianSpeed * this.random.range(0.8, 1.2),
+        idle: this.random.range(0, 3),
+        phase: this.random.range(0, Math.PI * 2),
+        walking: false
+      };
+
+      // 시작 위치는 경로 검사 없이
+      if (!this.pickTarget(pedestrian, pedestrian.position, false)) {
+        // 광장에 빈 자리가 없으면 인도로
+        pedestrian.sidewalk = this.createSidewalkRoute();
+        if (!pedestrian.sidewalk || !this.pickTarget(pedestrian, pedestrian.position, false)) continue;
+      }
+      pedestrian.target.copy(pedestrian.position);
+      this.pedestrians.push(pedestrian);
+    }
+
+    this.pedestrianBodies.count = this.pedestrians.length;
+    this.pedestrianHeads.count = this.pedestrians.length;
+  }
+
+  // 인도 구간 - 교차로 쪽은 횡단보도만큼 비워둔 간선 한쪽
+  createSidewalkRoute() {
+    if (this.network.edges.length === 0) return null;
+
+    const edge = this.random.pick(this.network.edges);
+    const sidewalkWidth = this.network.sidewalkWidth;
+    const trim = node => (this.network.isIntersection(node) ? this.network.junctionRadius(node) + sidewalkWidth : 0);
+
+    return {
+      edge,
+      offset: (this.random.chance(0.5) ? 1 : -1) * (edge.width / 2 + sidewalkWidth / 2),
+      start: trim(edge.from),
+      end: edge.length - trim(edge.to)
+    };
+  }
+
+  // 다음 목적지 - 인도는 같은 구간 위 임의 지점, 광장은 장애물 없이 직선으로 갈 수 있는 지점
+  pickTarget(pedestrian, target, checkPath = true) {
+    const route = pedestrian.sidewalk;
+    if (route) {
+      if (route.end <= route.start) return false;
+      const along = this.random.range(route.start, route.end);
+      const point = this.network.pointAlong(route.edge, along / route.edge.length, route.offset);
+      target.set(point.x, 0, point.z);
+      return true;
+    }
+
+    const from = pedestrian.position;
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const angle = this.random.range(0, Math.PI * 2);
+      const radius = Math.sqrt(this.random.next()) * (this.plazaRadius - 1);
+      const x = Math.cos(angle) * radius;
+      const z = Math.sin(angle) * radius;
+
+      if (this.occupancy.getZone(x, z) !== OccupancyGrid.PLAZA) continue;
+      if (checkPath && !this.isClearPath(from.x, from.z, x, z)) continue;
+
+      target.set(x, 0, z);
+      return true;
+    }
+    return false;
+  }
+
+  // 두 점 사이 직선이 걸을 수 있는 칸만 지나는지
+  isClearPath(x1, z1, x2, z2) {
+    const steps = Math.ceil(Math.hypot(x2 - x1, z2 - z1) / this.occupancy.cellSize);
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      if (!this.isWalkable(x1 + (x2 - x1) * t, z1 + (z2 - z1) * t)) return false;
+    }
+    return true;
+  }
+
+  isWalkable(x, z) {
+    const zone = this.occupancy.getZone(x, z);
+    return zone === OccupancyGrid.PLAZA || zone === OccupancyGrid.SIDEWALK || zone === OccupancyGrid.FREE;
+  }
+
+  updatePedestrian(pedestrian, delta, playerPosition) {
+    const position = pedestrian.position;
+    pedestrian.walking = false;
+
+    // 플레이어가 가까우면 옆으로 비켜섬 (걸을 수 있는 곳으로만)
+    if (playerPosition) {
+      const dx = position.x - playerPosition.x;
+      const dz = position.z - playerPosition.z;
+      const distance = Math.hypot(dx, dz);
+      if (distance < 2) {
+        const step = pedestrian.speed * 1.5 * delta / Math.max(distance, 0.01);
+        const x = position.x + dx * step;
+        const z = position.z + dz * step;
+        if (this.isWalkable(x, z)) position.set(x, 0, z);
+
+        pedestrian.heading = Math.atan2(-dx, -dz); // 플레이어 쪽을 바라봄
+        pedestrian.idle = Math.max(pedestrian.idle, 1);
+        return;
+      }
+    }
+
+    if (pedestrian.idle > 0) {
+      pedestrian.idle -= delta;
+      if (pedestrian.idle <= 0 && !this.pickTarget(pedestrian, pedestrian.target)) {
+        pedestrian.idle = 1; // 갈 곳이 없으면 잠시 뒤 다시 시도
+      }
+      return;
+    }
+
+    const dx = pedestrian.target.x - position.x;
+    const dz = pedestrian.target.z - position.z;
+    const distance = Math.hypot(dx, dz);
+    const step = pedestrian.speed * delta;
+
+    if (distance <= step) {
+      position.copy(pedestrian.target);
+      pedestrian.idle = this.random.range(1, 4);
+      return;
+    }
+
+    position.x += dx / distance * step;
+    position.z += dz / distance * step;
+    pedestrian.heading = Math.atan2(dx, dz);
+    pedestrian.phase += delta * pedestrian.speed * 6;
+    pedestrian.walking = true;
+  }
+
+  // playerPosition: 피해야 할 플레이어 캐릭터 위치 (없으면 null)
+  update(delta, playerPosition = null) {
+    // 탭 전환 등으로 프레임 간격이 크게 벌어져도 순간 이동하지 않도록
+    const step = Math.min(delta, 0.1);
+
+    this.cars.forEach((car, index) => {
+      this.updateCar(car, step, playerPosition);
+
+      this.rotation.setFromAxisAngle(this.up, car.heading);
+      this.matrix.compose(car.position, this.rotation, this.scale);
+      this.carBodies.setMatrixAt(index, this.matrix);
+      this.carCabins.setMatrixAt(index, this.matrix);
+      if (this.carAnchors[index]) this.carAnchors[index].position.copy(car.position);
+    });
+
+    this.pedestrians.forEach((pedestrian, index) => {
+      this.updatePedestrian(pedestrian, step, playerPosition);
+
+      // 걷는 동안 살짝 통통 튐
+      const bob = pedestrian.walking ? Math.abs(Math.sin(pedestrian.phase)) * 0.08 : 0;
+      this.position.set(pedestrian.position.x, bob, pedestrian.position.z);
+      this.rotation.setFromAxisAngle(this.up, pedestrian.heading);
+      this.matrix.compose(this.position, this.rotation, this.scale);
+      this.pedestrianBodies.setMatrixAt(index, this.matrix);
+      this.pedestrianHeads.setMatrixAt(index, this.matrix);
+    });
+
+    this.meshes.forEach(mesh => {
+      mesh.instanceMatrix.needsUpdate = true;
+    });
+  }
+
+  dispose() {
+    this.meshes.forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      mesh.dispose();
+    });
+
+    this.carAnchors.forEach(anchor => this.scene.remove(anchor));
+
+    this.meshes = [];
+    this.carAnchors = [];
+    this.cars = [];
+    this.pedestrians = [];
+  }
+}
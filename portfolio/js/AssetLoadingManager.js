@@ -0,0 +1,46 @@
+// AssetLoadingManager.js
+import * as THREE from 'three';
+
+// 공유 로딩 매니저 - 콘텐츠 파일, 캐릭터 GLB, 로고 텍스처 등 모든 에셋 로딩을 추적
+export class AssetLoadingManager {
+  constructor() {
+    // 모든 로더(GLTFLoader, TextureLoader, FileLoader)에 전달되는 매니저
+    this.manager = new THREE.LoadingManager();
+
+    // 실패한 항목 (URL 또는 작업 이름)
+    this.failedItems = [];
+
+    // 콜백
+    this.onProgress = null; // (ratio, url) => {}
+    this.onComplete = null; // (failedItems) => {}
+
+    this.manager.onProgress = (url, itemsLoaded, itemsTotal) => {
+      const ratio = itemsTotal > 0 ? itemsLoaded / itemsTotal : 1;
+      if (this.onProgress) this.onProgress(ratio, url);
+    };
+
+    this.manager.onError = (url) => {
+      console.error('에셋 로딩 실패:', url);
+      this.failedItems.push(url);
+    };
+
+    this.manager.onLoad = () => {
+      if (this.onComplete) this.onComplete(this.failedItems.slice());
+    };
+  }
+
+  // 로더를 거치지 않는 작업(씬 구성 등)도 로딩 항목으로 등록
+  // - 등록해 두지 않으면 콘텐츠 파일만 로드된 시점에 onLoad가 먼저 호출됨
+  beginTask(name) {
+    this.manager.itemStart(name);
+  }
+
+  endTask(name) {
+    this.manager.itemEnd(name);
+  }
+
+  failTask(name) {
+    this.manager.itemError(name);
+    this.manager.itemEnd(name);
+  }
+}
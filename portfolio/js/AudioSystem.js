@@ -0,0 +1,369 @@
+// AudioSystem.js
+import * as THREE from 'three';
+
+// 공간 음향 - 카메라에 붙은 AudioListener 기준으로 분수대, 자동차, 건물 소리를 위치에 따라 재생
+// 별도 음원 파일 없이 Web Audio로 합성 (노이즈 루프, 발진기 패드, 짧은 효과음)
+// 브라우저 자동 재생 정책에 따라 첫 사용자 입력(클릭, 터치, 키) 이후에만 시작
+export class AudioSystem {
+  // 음량/음소거 설정 저장 키 (localStorage)
+  static STORAGE_KEY = 'portfolio-audio';
+
+  // 사용자 활성화로 인정되는 입력 (터치 기기는 touchstart/pointerdown이 아니라 손을 뗄 때)
+  static GESTURE_EVENTS = ['pointerup', 'touchend', 'click', 'keydown'];
+
+  // 건물 소리 음높이 - 가까이 있는 건물끼리 어울리도록 5음계
+  static BUILDING_NOTES = [220, 246.94, 277.18, 329.63, 369.99, 440];
+
+  constructor(camera, options = {}) {
+    const {
+      volume = 0.6,
+      muted = false
+    } = options;
+
+    this.camera = camera;
+    this.listener = null;
+    this.context = null;
+    this.started = false;
+
+    // 시작 전에 등록된 소리도 시작할 때 한꺼번에 생성
+    this.emitters = []; // { object, type, options, sound, nodes }
+    this.ambience = null;
+    this.buffers = {};
+
+    // 저장된 설정이 콘텐츠 기본값보다 우선
+    const saved = this.loadSettings();
+    this.volume = saved.volume ?? volume;
+    this.muted = saved.muted ?? muted;
+
+    // 바인딩
+    this.onGesture = this.onGesture.bind(this);
+    this.onControlsClick = this.onControlsClick.bind(this);
+    this.onMuteClick = this.onMuteClick.bind(this);
+    this.onVolumeInput = this.onVolumeInput.bind(this);
+
+    this.createControls();
+
+    AudioSystem.GESTURE_EVENTS.forEach(type => window.addEventListener(type, this.onGesture));
+  }
+
+  loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(AudioSystem.STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(AudioSystem.STORAGE_KEY, JSON.stringify({ volume: this.volume, muted: this.muted }));
+    } catch (error) {
+      // 저장소를 쓸 수 없으면 (사생활 보호 모드 등) 이번 방문에만 적용
+    }
+  }
+
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.className = 'audio-control';
+    this.controls.innerHTML = `
+      <button class="audio-mute"></button>
+      <input class="audio-volume" type="range" min="0" max="1" step="0.05" aria-label="Volume">
+    `;
+    document.body.appendChild(this.controls);
+
+    this.muteBtn = this.controls.querySelector('.audio-mute');
+    this.slider = this.controls.querySelector('.audio-volume');
+
+    // 컨트롤 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+    this.controls.addEventListener('click', this.onControlsClick);
+    this.muteBtn.addEventListener('click', this.onMuteClick);
+    this.slider.addEventListener('input', this.onVolumeInput);
+
+    this.updateControls();
+  }
+
+  onControlsClick(event) {
+    event.stopPropagation();
+  }
+
+  onMuteClick() {
+    this.setMuted(!this.muted);
+  }
+
+  onVolumeInput() {
+    this.setVolume(parseFloat(this.slider.value));
+  }
+
+  updateControls() {
+    const silent = this.muted || this.volume === 0;
+    this.muteBtn.innerHTML = silent ? '&#128263;' : '&#128266;';
+    this.muteBtn.title = silent ? 'Unmute' : 'Mute';
+    this.muteBtn.classList.toggle('active', silent);
+    this.slider.value = this.muted ? 0 : this.volume;
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    // 음량 0에서 음소거를 풀면 기본 음량으로
+    if (!muted && this.volume === 0) this.volume = 0.6;
+    this.applyVolume();
+  }
+
+  setVolume(volume) {
+    this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+    this.muted = false;
+    this.applyVolume();
+  }
+
+  applyVolume() {
+    if (this.listener) this.listener.setMasterVolume(this.muted ? 0 : this.volume);
+    this.updateControls();
+    this.saveSettings();
+  }
+
+  // 첫 사용자 입력 - 오디오 컨텍스트 생성/재개 후 등록된 소리 시작
+  // 재개가 거부되면 (활성화로 인정되지 않은 입력) 리스너를 남겨 다음 입력에서 다시 시도
+  onGesture() {
+    this.start();
+
+    if (this.context.state === 'running') {
+      this.removeGestureListeners();
+      return;
+    }
+
+    this.context.resume().then(() => {
+      if (this.context && this.context.state === 'running') this.removeGestureListeners();
+    }).catch(() => {});
+  }
+
+  removeGestureListeners() {
+    AudioSystem.GESTURE_EVENTS.forEach(type => window.removeEventListener(type, this.onGesture));
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.listener = new THREE.AudioListener();
+    this.camera.add(this.listener);
+    this.context = this.listener.context;
+
+    // 합성 음원
+    this.buffers.white = this.createNoiseBuffer(2, false);
+    this.buffers.brown = this.createNoiseBuffer(2, true);
+    this.buffers.step = this.createStepBuffer();
+
+    this.createAmbience();
+    this.emitters.forEach(emitter => this.createEmitter(emitter));
+    this.applyVolume();
+  }
+
+  // 루프용 노이즈 - brown은 낮은 소리 위주 (바람, 도로 소음)
+  createNoiseBuffer(seconds, brown) {
+    const length = Math.floor(this.context.sampleRate * seconds);
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    let last = 0;
+    for (let i = 0; i < length; i++) {
+      const white = Math.random() * 2 - 1;
+      if (brown) {
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white;
+      }
+    }
+
+    // 루프 이음매가 튀지 않도록 양 끝을 짧게 교차
+    const fade = Math.floor(this.context.sampleRate * 0.05);
+    for (let i = 0; i < fade; i++) {
+      const t = i / fade;
+      data[i] = data[i] * t + data[length - fade + i] * (1 - t);
+    }
+    return buffer;
+  }
+
+  // 발소리 - 빠르게 사라지는 짧은 노이즈
+  createStepBuffer() {
+    const length = Math.floor(this.context.sampleRate * 0.09);
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+    }
+    return buffer;
+  }
+
+  // 전체 배경음 - 위치 없이 낮게 깔리는 바람/도시 소리
+  createAmbience() {
+    this.ambience = new THREE.Audio(this.listener);
+    this.ambience.setBuffer(this.buffers.brown);
+    this.ambience.setLoop(true);
+    this.ambience.setVolume(0.15);
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 600;
+    this.ambience.setFilter(filter);
+    this.ambience.play();
+  }
+
+  // 위치 소리 등록 - type: 'fountain' | 'traffic' | 'building'
+  addEmitter(object, type, options = {}) {
+    const emitter = { object, type, options, sound: null, nodes: [] };
+    this.emitters.push(emitter);
+    if (this.started) this.createEmitter(emitter);
+    return emitter;
+  }
+
+  createEmitter(emitter) {
+    const sound = new THREE.PositionalAudio(this.listener);
+    const filter = this.context.createBiquadFilter();
+
+    if (emitter.type === 'building') {
+      this.createBuildingTone(emitter, sound, filter);
+    } else {
+      // 분수대는 높은 물소리, 자동차는 낮은 엔진/타이어 소리
+      const fountain = emitter.type === 'fountain';
+      sound.setBuffer(fountain ? this.buffers.white : this.buffers.brown);
+      sound.setLoop(true);
+      sound.setVolume(fountain ? 0.5 : 0.6);
+      sound.setRefDistance(fountain ? 3 : 4);
+      sound.setRolloffFactor(2);
+
+      filter.type = fountain ? 'bandpass' : 'lowpass';
+      filter.frequency.value = fountain ? 2500 : 350;
+      filter.Q.value = fountain ? 0.6 : 1;
+      sound.setFilter(filter);
+
+      // 같은 음원이라도 겹쳐 들리지 않게 시작 위치를 다르게
+      sound.offset = Math.random() * sound.buffer.duration;
+      sound.play();
+    }
+
+    emitter.sound = sound;
+    emitter.object.add(sound);
+  }
+
+  // 건물 소리 - 살짝 어긋난 두 발진기에 느린 떨림을 준 잔잔한 음
+  createBuildingTone(emitter, sound, filter) {
+    const index = emitter.options.index || 0;
+    const frequency = AudioSystem.BUILDING_NOTES[index % AudioSystem.BUILDING_NOTES.length];
+
+    const output = this.context.createGain();
+    output.gain.value = 0.5;
+
+    [1, 1.003].forEach(detune => {
+      const oscillator = this.context.createOscillator();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency * detune;
+      oscillator.connect(output);
+      oscillator.start();
+      emitter.nodes.push(oscillator);
+    });
+
+    // 떨림 (초당 0.2~0.4회)
+    const tremolo = this.context.createOscillator();
+    const depth = this.context.createGain();
+    tremolo.frequency.value = 0.2 + (index % 3) * 0.1;
+    depth.gain.value = 0.3;
+    tremolo.connect(depth);
+    depth.connect(output.gain);
+    tremolo.start();
+    emitter.nodes.push(tremolo);
+
+    filter.type = 'lowpass';
+    filter.frequency.value = 1200;
+
+    sound.setNodeSource(output);
+    sound.setFilter(filter);
+    sound.setVolume(0.2);
+    sound.setRefDistance(3);
+    sound.setRolloffFactor(2.5);
+  }
+
+  // 짧은 효과음 - 위치 없이 리스너로 직접 (마스터 음량은 적용됨)
+  playBuffer(buffer, { volume = 1, rate = 1, frequency = 2000 } = {}) {
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = frequency;
+
+    const gain = this.context.createGain();
+    gain.gain.value = volume;
+
+    source.connect(filter).connect(gain).connect(this.listener.getInput());
+    source.start();
+  }
+
+  // 발소리 - 달리면 크고 밝게
+  playFootstep(running = false) {
+    if (!this.started) return;
+
+    this.playBuffer(this.buffers.step, {
+      volume: running ? 0.5 : 0.3,
+      rate: 0.9 + Math.random() * 0.2,
+      frequency: running ? 1400 : 900
+    });
+  }
+
+  // UI 효과음 - 'open': 올라가는 음, 'close': 내려가는 음
+  playUi(type = 'open') {
+    if (!this.started) return;
+
+    const now = this.context.currentTime;
+    const [from, to] = type === 'open' ? [520, 780] : [620, 420];
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(from, now);
+    oscillator.frequency.exponentialRampToValueAtTime(to, now + 0.12);
+
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(0.15, now + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.18);
+
+    oscillator.connect(gain).connect(this.listener.getInput());
+    oscillator.start(now);
+    oscillator.stop(now + 0.2);
+  }
+
+  dispose() {
+    this.removeGestureListeners();
+
+    this.emitters.forEach(({ sound, nodes }) => {
+      nodes.forEach(node => node.stop());
+      if (!sound) return;
+      if (sound.hasPlaybackControl && sound.isPlaying) sound.stop();
+      sound.disconnect();
+      if (sound.parent) sound.parent.remove(sound);
+    });
+    this.emitters = [];
+
+    if (this.ambience) {
+      this.ambience.stop();
+      this.ambience.disconnect();
+      this.ambience = null;
+    }
+
+    // 오디오 컨텍스트는 three.js가 공유하므로 닫지 않고 리스너만 분리
+    if (this.listener) {
+      this.camera.remove(this.listener);
+      this.listener = null;
+    }
+
+    if (this.controls) {
+      this.controls.removeEventListener('click', this.onControlsClick);
+      this.muteBtn.removeEventListener('click', this.onMuteClick);
+      this.slider.removeEventListener('input', this.onVolumeInput);
+      if (this.controls.parentNode) this.controls.parentNode.removeChild(this.controls);
+    }
+    this.controls = null;
+  }
+}
@@ -1,13 +1,28 @@
 // Building.js
 import * as THREE from 'three';
 import { TextureLoader } from 'three';
+import { SeededRandom } from './SeededRandom.js';
 
 export class Building {
   // 공유할 텍스처 로더
   static textureLoader = new TextureLoader();
 
+  // 강조 종류별 발광 세기 (선택, 마우스 오버)
+  static HIGHLIGHT_INTENSITY = { selected: 0.2, hover: 0.1 };
+
+  // 품질별 상세도 전환 거리 [외벽 텍스처, 상자] - 건물 크기만큼 더 멀리서 전환
+  static LOD_DISTANCES = {
+    low: [25, 60],
+    medium: [40, 90],
+    high: [60, 130]
+  };
+
+  // 외벽 텍스처에서 창문 한 칸의 크기 (px)
+  static FACADE_CELL = 8;
+
   constructor(options = {}) {
     const {
+      id = null,
       width = 4,
       height = 8,
       depth = 4,
@@ -19,6 +34,9 @@ export class Building {
       logoTexture = null,
       info = null,
       castShadow = false,
+      textureLoader = null, // 공유 로딩 매니저에 연결된 텍스처 로더
+      random = null,        // 창문 배치용 난수 생성기 (SeededRandom)
+      lodDistances = Building.LOD_DISTANCES.high,
       geometryCache = null, // 공유 지오메트리 캐시
       materialCache = null  // 공유 재질 캐시
     } = options;
@@ -27,24 +45,42 @@ export class Building {
     this.mesh = new THREE.Group();
 
     // Store building properties
+    this.id = id;
     this.width = width;
     this.height = height;
     this.depth = depth;
     this.color = color;
     this.type = type;
     this.castShadow = castShadow;
+    this.logoUrl = logoTexture;
     this.info = info || {
       title: "Cloud Building",
       description: "A modern cloud infrastructure building."
     };
 
+    // 강조 상태 - 강조 이유 목록과 이 건물 전용 복제 재질
+    this.highlightReasons = new Set();
+    this.highlightMaterials = new Map();
+
+    // 정적 배치에 합쳐졌으면 그 배치와 배치 안의 번호 (StaticBatch)
+    this.batch = null;
+    this.batchId = -1;
+
     // 공유 캐시 저장
     this.geometryCache = geometryCache;
     this.materialCache = materialCache;
+    this.textureLoader = textureLoader || Building.textureLoader;
 
-    // Create main building structure
+    // 난수 생성기가 없으면 위치와 크기로 시드를 정해 항상 같은 창문 배치 유지
+    this.random = random || new SeededRandom(`${posX},${posZ},${width},${height},${depth}`);
+
+    // Create main building structure - 가장 가까운 상세도에 모든 부품을 담음
+    this.detail = new THREE.Group();
     this.createMainStructure();
 
+    // 거리별 상세도 (외벽 텍스처, 상자)
+    this.createLevels(lodDistances);
+
     // Add logo if provided
     if (logoTexture) {
       this.addLogo(logoTexture);
@@ -185,19 +221,19 @@ export class Building {
     base.position.y = -this.height * 0.45;
     base.castShadow = this.castShadow;
     base.receiveShadow = true;
-    this.mesh.add(base);
+    this.detail.add(base);
 
     // 메인 건물 몸체
     const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
     building.castShadow = this.castShadow;
     building.receiveShadow = true;
-    this.mesh.add(building);
+    this.detail.add(building);
 
     // 위쪽 장식부분
     const top = new THREE.Mesh(topGeometry, topMaterial);
     top.position.y = this.height * 0.5 + this.height * 0.025;
     top.castShadow = this.castShadow;
-    this.mesh.add(top);
+    this.detail.add(top);
 
     // Add windows - 인스턴스 메시로 최적화
     this.addWindows(building);
@@ -237,8 +273,20 @@ export class Building {
       totalWindows
     );
     windowInstancedMesh.castShadow = false; // 창문은 그림자 생성 안함
+    this.windowMaterial = windowMaterial; // 시간대에 따라 불빛 조절 (DayNightCycle)
     building.add(windowInstancedMesh);
 
+    // 중간 거리 외벽 텍스처에 같은 배치를 굽기 위해 기록 (앞/뒷면, 옆면 칸 목록)
+    building.userData.facade = true;
+    this.windowLayout = {
+      columns: windowsHorizontal,
+      sideColumns: this.width > 1.5 ? Math.floor(this.depth * 2) : 0,
+      rows: windowsVertical,
+      windowSize,
+      front: [],
+      side: []
+    };
+
     // 창문 배치를 위한 행렬
     const matrix = new THREE.Matrix4();
     let instanceIndex = 0;
@@ -247,12 +295,14 @@ export class Building {
     for (let i = 0; i < windowsHorizontal; i++) {
       for (let j = 0; j < windowsVertical; j++) {
         // Skip some windows randomly for variety (20% 확률로 스킵)
-        if (Math.random() > 0.8) continue;
+        if (this.random.chance(0.2)) continue;
 
         // Calculate window position
         const offsetX = (this.width / windowsHorizontal) * (i - (windowsHorizontal - 1) / 2);
         const offsetY = (this.height / windowsVertical) * (j - (windowsVertical - 1) / 2);
 
+        this.windowLayout.front.push([i, j]);
+
         // 앞면 창문
         matrix.makeTranslation(offsetX, offsetY, this.depth / 2 + windowDepth / 2);
         windowInstancedMesh.setMatrixAt(instanceIndex++, matrix);
@@ -270,19 +320,18 @@ export class Building {
       for (let i = 0; i < sideWindowsHorizontal; i++) {
         for (let j = 0; j < windowsVertical; j++) {
           // Skip some windows randomly
-          if (Math.random() > 0.8) continue;
+          if (this.random.chance(0.2)) continue;
 
           const offsetZ = (this.depth / sideWindowsHorizontal) * (i - (sideWindowsHorizontal - 1) / 2);
           const offsetY = (this.height / windowsVertical) * (j - (windowsVertical - 1) / 2);
+          this.windowLayout.side.push([i, j]);
 
-          // 오른쪽 창문
-          matrix.makeTranslation(this.width / 2 + windowDepth / 2, offsetY, offsetZ);
-          matrix.makeRotationY(Math.PI / 2); // 옆면을 향하도록 회전
+          // 오른쪽 창문 - 옆면을 향하도록 회전한 뒤 위치 지정
+          matrix.makeRotationY(Math.PI / 2).setPosition(this.width / 2 + windowDepth / 2, offsetY, offsetZ);
           windowInstancedMesh.setMatrixAt(instanceIndex++, matrix);
 
           // 왼쪽 창문
-          matrix.makeTranslation(-this.width / 2 - windowDepth / 2, offsetY, offsetZ);
-          matrix.makeRotationY(-Math.PI / 2); // 반대 방향으로 회전
+          matrix.makeRotationY(-Math.PI / 2).setPosition(-this.width / 2 - windowDepth / 2, offsetY, offsetZ);
           windowInstancedMesh.setMatrixAt(instanceIndex++, matrix);
         }
       }
@@ -295,9 +344,150 @@ export class Building {
     windowInstancedMesh.count = instanceIndex;
   }
 
+  // 거리별 상세도 (THREE.LOD) - 가까이: 전체 모델, 중간: 창문을 외벽 텍스처로 구운 모델, 멀리: 상자 하나
+  createLevels([facadeDistance, impostorDistance]) {
+    const size = Math.max(this.width, this.height, this.depth);
+
+    // 상자는 상세 모델 전체를 감싸도록 - 다른 단계를 붙이기 전에 크기 계산
+    const bounds = new THREE.Box3().setFromObject(this.detail);
+
+    this.facade = this.createFacadeLevel();
+    this.impostor = this.createImpostor(bounds);
+
+    this.lod = new THREE.LOD();
+    this.lod.addLevel(this.detail, 0);
+    this.lod.addLevel(this.facade, facadeDistance + size);
+    this.lod.addLevel(this.impostor, impostorDistance + size);
+    this.mesh.add(this.lod);
+  }
+
+  // 대체 모델 표시 - 충돌체 등록에서 제외하고, 선택/지면/카메라 광선은 상세 모델에만 맞도록 함
+  markProxy(object) {
+    object.traverse(child => {
+      if (!child.isMesh) return;
+      child.userData.proxy = true;
+      child.raycast = () => {};
+    });
+  }
+
+  // 상세 모델을 복제하되 창문 인스턴스를 빼고, 창문이 붙어 있던 몸체에는 외벽 텍스처를 씌움
+  createFacadeLevel() {
+    const facade = this.detail.clone();
+
+    const windows = [];
+    facade.traverse(child => {
+      if (child.isInstancedMesh) {
+        windows.push(child);
+      } else if (child.userData.facade && this.windowLayout) {
+        child.material = this.createFacadeMaterial(child.material);
+        child.geometry = this.createFacadeGeometry(child.geometry);
+      }
+    });
+    windows.forEach(instances => instances.removeFromParent());
+
+    this.markProxy(facade);
+    return facade;
+  }
+
+  // 창문 배치를 캔버스에 그림 - 왼쪽 영역은 앞/뒷면, 오른쪽 영역은 옆면
+  // 발광 텍스처는 창문만 흰색이라 밤에 창문만 밝아짐 (DayNightCycle이 세기 조절)
+  createFacadeMaterial(bodyMaterial) {
+    const { columns, sideColumns, rows, windowSize, front, side } = this.windowLayout;
+    const cell = Building.FACADE_CELL;
+    const frontWidth = columns * cell;
+    const sideWidth = sideColumns * cell;
+    const height = rows * cell;
+
+    const createCanvas = (background) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = frontWidth + sideWidth;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      return { canvas, context };
+    };
+
+    const color = createCanvas(`#${bodyMaterial.color.getHexString()}`);
+    const glow = createCanvas('#000000');
+    color.context.fillStyle = '#8fb0c4';
+    glow.context.fillStyle = '#ffffff';
+
+    // 창문 크기 - 면 크기에 대한 비율을 픽셀로 환산
+    const windowHeight = windowSize / this.height * height;
+    const drawWindows = (cells, left, regionWidth, count, faceWidth) => {
+      const windowWidth = windowSize / faceWidth * regionWidth;
+      cells.forEach(([i, j]) => {
+        const x = left + (i + 0.5) / count * regionWidth - windowWidth / 2;
+        const y = (rows - j - 0.5) * cell - windowHeight / 2;
+        color.context.fillRect(x, y, windowWidth, windowHeight);
+        glow.context.fillRect(x, y, windowWidth, windowHeight);
+      });
+    };
+    drawWindows(front, 0, frontWidth, columns, this.width);
+    drawWindows(side, frontWidth, sideWidth, sideColumns, this.depth);
+
+    const map = new THREE.CanvasTexture(color.canvas);
+    map.colorSpace = THREE.SRGBColorSpace;
+    const emissiveMap = new THREE.CanvasTexture(glow.canvas);
+
+    this.facadeMaterial = new THREE.MeshStandardMaterial({
+      map,
+      emissiveMap,
+      emissive: this.windowMaterial.emissive.clone(),
+      emissiveIntensity: this.windowMaterial.emissiveIntensity,
+      roughness: bodyMaterial.roughness,
+      metalness: bodyMaterial.metalness
+    });
+    return this.facadeMaterial;
+  }
+
+  // 외벽 텍스처용 UV - 앞/뒷면은 왼쪽 영역, 옆면은 오른쪽 영역에 대응
+  // 뒷면과 오른쪽 면은 바깥에서 볼 때 좌우가 뒤집혀 있으므로 창문 위치가 맞도록 뒤집음
+  createFacadeGeometry(source) {
+    const { columns, sideColumns } = this.windowLayout;
+    const split = columns / (columns + sideColumns);
+
+    this.facadeGeometry = source.clone();
+    const uv = this.facadeGeometry.attributes.uv;
+
+    for (let i = 0; i < uv.count; i++) {
+      const u = uv.getX(i);
+
+      // BoxGeometry 면 순서 (면마다 버텍스 4개): +x, -x, +y, -y, +z, -z
+      switch (Math.floor(i / 4)) {
+        case 0: uv.setX(i, split + (1 - u) * (1 - split)); break;
+        case 1: uv.setX(i, split + u * (1 - split)); break;
+        case 4: uv.setX(i, u * split); break;
+        case 5: uv.setX(i, (1 - u) * split); break;
+        default: uv.setXY(i, 0, 0); // 윗면/밑면은 창문이 없는 모서리 색
+      }
+    }
+    return this.facadeGeometry;
+  }
+
+  // 멀리서 보이는 상자 하나 - 건물 색, 공유 지오메트리/재질
+  createImpostor(bounds) {
+    const size = bounds.getSize(new THREE.Vector3());
+    const geometry = this.getGeometry('box', size.x, size.y, size.z);
+    const material = this.getMaterial('standard', {
+      color: this.color,
+      roughness: 0.8,
+      metalness: 0.1
+    });
+
+    const impostor = new THREE.Mesh(geometry, material);
+    bounds.getCenter(impostor.position);
+    impostor.castShadow = this.castShadow;
+    impostor.receiveShadow = true;
+
+    this.markProxy(impostor);
+    return impostor;
+  }
+
   addLogo(logoTexture) {
-    // 로고 텍스처 로드 - 공유 로더 사용
-    Building.textureLoader.load(logoTexture, (texture) => {
+    // 로고 텍스처 로드 - 공유 로더 사용 (실패 시 로딩 매니저가 기록)
+    this.textureLoader.load(logoTexture, (texture) => {
       // 텍스처 압축 및 밉맵 최적화
       texture.generateMipmaps = true;
       texture.minFilter = THREE.LinearMipmapLinearFilter;
@@ -340,56 +530,99 @@ export class Building {
     roof.position.y = this.height / 2 + this.height * 0.2;
     roof.rotation.y = Math.PI / 4;
     roof.castShadow = this.castShadow;
-    this.mesh.add(roof);
+    this.detail.add(roof);
+
+    // 중간 거리 모델에도 같은 지붕 (멀리서는 상자만)
+    const facadeRoof = roof.clone();
+    this.markProxy(facadeRoof);
+    this.facade.add(facadeRoof);
     return this;
   }
 
-  // Highlight building when selected
-  highlight() {
-    this.mesh.traverse(child => {
-      // 로고 요소는 건드리지 않음
-      if (child.userData.isLogo) return;
+  // 정적 배치에 합쳐짐 - 배치가 단계별로 합쳐 대신 그리므로 상세도 모델을 장면에서 빼고 외벽 텍스처 정리
+  // (외벽 텍스처는 배치의 아틀라스에 복사됨, 단계 전환 거리는 lod.levels에 남아 배치가 읽음)
+  // 경계 상자와 충돌체는 합치기 전에 등록해 두었으므로 그대로 유효
+  setBatch(batch, id) {
+    this.batch = batch;
+    this.batchId = id;
+    this.mesh.remove(this.lod);
+    this.disposeFacade();
+  }
 
-      if (child.isMesh) {
-        // InstancedMesh는 특별 처리
-        if (child.isInstancedMesh) {
-          child.material.emissive = new THREE.Color(0xffffff);
-          child.material.emissiveIntensity = 0.2;
-        }
-        // 일반 메시
-        else if (child.material) {
-          if (!child.userData.originalColor) {
-            child.userData.originalColor = child.material.color.getHex();
-            child.material.emissive = new THREE.Color(0xffffff);
-            child.material.emissiveIntensity = 0.2;
-          }
-        }
-      }
-    });
+  // 선택/지면/카메라 광선을 검사할 오브젝트
+  get raycastTarget() {
+    return this.batch ? this.batch.group : this.mesh;
+  }
+
+  // Highlight building when selected (reason: 'selected' | 'hover')
+  // 공유 재질은 그대로 두고 이 건물의 메시에만 복제 재질을 씌움
+  highlight(reason = 'selected') {
+    this.highlightReasons.add(reason);
+    this.applyHighlight();
   }
 
-  // Remove highlight
-  unhighlight() {
+  // Remove highlight - 다른 이유의 강조가 남아 있으면 그 세기로 유지
+  unhighlight(reason = 'selected') {
+    this.highlightReasons.delete(reason);
+    this.applyHighlight();
+  }
+
+  applyHighlight() {
+    let intensity = 0;
+    this.highlightReasons.forEach(reason => {
+      intensity = Math.max(intensity, Building.HIGHLIGHT_INTENSITY[reason] || 0);
+    });
+
+    // 배치된 건물은 배치 안의 자기 구간만 밝힘
+    if (this.batch) {
+      this.batch.setHighlight(this.batchId, intensity);
+      return;
+    }
+
     this.mesh.traverse(child => {
       // 로고 요소는 건드리지 않음
-      if (child.userData.isLogo) return;
+      if (!child.isMesh || child.userData.isLogo) return;
 
-      if (child.isMesh) {
-        // InstancedMesh는 특별 처리
-        if (child.isInstancedMesh) {
-          child.material.emissive = new THREE.Color(0x000000);
-          child.material.emissiveIntensity = 0;
-        }
-        // 일반 메시
-        else if (child.material && child.userData.originalColor) {
-          child.material.emissive = new THREE.Color(0x000000);
-          child.material.emissiveIntensity = 0;
-          delete child.userData.originalColor;
+      const original = child.userData.originalMaterial || child.material;
+      if (!original || Array.isArray(original) || !original.emissive) return;
+
+      if (intensity === 0) {
+        // 원래 공유 재질로 정확히 복원
+        if (child.userData.originalMaterial) {
+          child.material = child.userData.originalMaterial;
+          delete child.userData.originalMaterial;
         }
+        return;
       }
+
+      if (!child.userData.originalMaterial) {
+        child.userData.originalMaterial = original;
+        child.material = this.getHighlightMaterial(original);
+      }
+
+      // 원래 발광(야간 창문 등)에 강조 빛을 더함
+      child.material.emissive.copy(original.emissive)
+        .multiplyScalar(original.emissiveIntensity)
+        .addScalar(intensity);
+      child.material.emissiveIntensity = 1;
     });
   }
 
+  // 공유 재질의 발광이 바뀐 뒤 (DayNightCycle) 강조 중인 복제 재질에 다시 반영
+  // 배치된 건물은 셰이더에서 발광에 더하므로 다시 할 일이 없음
+  refreshHighlight() {
+    if (this.batch || this.highlightReasons.size === 0) return;
+    this.applyHighlight();
+  }
+
+  // 공유 재질별 강조용 복제본 (이 건물 전용, 다시 강조할 때 재사용)
+  getHighlightMaterial(material) {
+    if (!this.highlightMaterials.has(material)) {
+      this.highlightMaterials.set(material, material.clone());
+    }
+    return this.highlightMaterials.get(material);
+  }
+
   createMainBuilding() {
     // Main showcase building (taller and more detailed)
     // 공유 지오메트리 사용
@@ -455,7 +688,7 @@ export class Building {
     base.position.y = -this.height * 0.45;
     base.castShadow = this.castShadow;
     base.receiveShadow = true;
-    this.mesh.add(base);
+    this.detail.add(base);
 
     // 보조 기둥들 추가
     for (let x = -1; x <= 1; x += 2) {
@@ -467,7 +700,7 @@ export class Building {
           z * (this.depth * 0.45)
         );
         pillar.castShadow = this.castShadow;
-        this.mesh.add(pillar);
+        this.detail.add(pillar);
       }
     }
 
@@ -475,7 +708,7 @@ export class Building {
     const building = new THREE.Mesh(coreGeometry, coreMaterial);
     building.castShadow = this.castShadow;
     building.receiveShadow = true;
-    this.mesh.add(building);
+    this.detail.add(building);
 
     // Add windows
     this.addWindows(building);
@@ -484,23 +717,23 @@ export class Building {
     const top = new THREE.Mesh(topGeometry, topMaterial);
     top.position.y = this.height / 2 + this.height * 0.125;
     top.castShadow = this.castShadow;
-    this.mesh.add(top);
+    this.detail.add(top);
 
     // 글로우 효과를 위한 상단 링
     const ring = new THREE.Mesh(ringGeometry, ringMaterial);
     ring.position.y = this.height * 0.45;
     ring.rotation.x = Math.PI / 2;
-    this.mesh.add(ring);
+    this.detail.add(ring);
 
     // Add entrance
     const entrance = new THREE.Mesh(entranceGeometry, entranceMaterial);
     entrance.position.set(0, -this.height / 2 + this.height * 0.1, this.depth / 2 + this.depth * 0.05);
-    this.mesh.add(entrance);
+    this.detail.add(entrance);
 
     // 보조 엔트런스 계단
     const stairs = new THREE.Mesh(stairsGeometry, stairsMaterial);
     stairs.position.set(0, -this.height * 0.47, this.depth * 0.6);
-    this.mesh.add(stairs);
+    this.detail.add(stairs);
   }
   createKubernetesBuilding() {
     // 기본 구조 생성
@@ -527,7 +760,7 @@ export class Building {
       const container = new THREE.Mesh(containerGeometry, containerMaterial);
       container.position.y = -this.height * 0.4 + i * this.height * 0.25;
       container.castShadow = this.castShadow;
-      this.mesh.add(container);
+      this.detail.add(container);
     }
 
     // 스티어링휠 모양 장식 (쿠버네티스 로고)
@@ -542,7 +775,7 @@ export class Building {
     wheel.rotation.x = Math.PI / 2;
     wheel.position.y = this.height * 0.4;
     wheel.castShadow = this.castShadow;
-    this.mesh.add(wheel);
+    this.detail.add(wheel);
   }
 
   createAwsBuilding() {
@@ -560,7 +793,7 @@ export class Building {
     const top = new THREE.Mesh(topGeometry, topMaterial);
     top.position.y = this.height / 2 + this.height * 0.05;
     top.castShadow = this.castShadow;
-    this.mesh.add(top);
+    this.detail.add(top);
 
     // AWS 상징적 디자인
     const awsDetailGeometry = this.getGeometry('box', this.width * 0.2, this.height * 0.3, this.depth * 0.2);
@@ -574,7 +807,7 @@ export class Building {
     awsDetail.position.y = this.height * 0.2;
     awsDetail.position.z = this.depth * 0.4;
     awsDetail.castShadow = this.castShadow;
-    this.mesh.add(awsDetail);
+    this.detail.add(awsDetail);
   }
 
   createNaverBuilding() {
@@ -592,7 +825,7 @@ export class Building {
     const top = new THREE.Mesh(topGeometry, topMaterial);
     top.position.y = this.height / 2 + this.height * 0.15;
     top.castShadow = this.castShadow;
-    this.mesh.add(top);
+    this.detail.add(top);
 
     // 네이버 로고 모양 추가
     const logoGeometry = this.getGeometry('box', this.width * 0.1, this.height * 0.6, this.depth * 0.1);
@@ -605,7 +838,7 @@ export class Building {
     const logo = new THREE.Mesh(logoGeometry, logoMaterial);
     logo.position.set(this.width * 0.35, 0, this.depth * 0.35);
     logo.castShadow = this.castShadow;
-    this.mesh.add(logo);
+    this.detail.add(logo);
   }
 
   createKtBuilding() {
@@ -623,7 +856,7 @@ export class Building {
     const top = new THREE.Mesh(topGeometry, topMaterial);
     top.position.y = this.height / 2 + this.height * 0.075;
     top.castShadow = this.castShadow;
-    this.mesh.add(top);
+    this.detail.add(top);
 
     // KT 로고 모양 추가 (간소화된 버전)
     const ktLogoGeometry = this.getGeometry('box', this.width * 0.1, this.height * 0.4, this.depth * 0.1);
@@ -636,13 +869,13 @@ export class Building {
     const verticalBar = new THREE.Mesh(ktLogoGeometry, ktLogoMaterial);
     verticalBar.position.set(-this.width * 0.25, 0, this.depth * 0.45);
     verticalBar.castShadow = this.castShadow;
-    this.mesh.add(verticalBar);
+    this.detail.add(verticalBar);
 
     const horizontalBarGeometry = this.getGeometry('box', this.width * 0.3, this.height * 0.1, this.depth * 0.1);
     const horizontalBar = new THREE.Mesh(horizontalBarGeometry, ktLogoMaterial);
     horizontalBar.position.set(-this.width * 0.15, 0, this.depth * 0.45);
     horizontalBar.castShadow = this.castShadow;
-    this.mesh.add(horizontalBar);
+    this.detail.add(horizontalBar);
   }
 
   createNhnBuilding() {
@@ -668,7 +901,7 @@ export class Building {
       const top = new THREE.Mesh(topGeometry, topMaterial);
       top.position.y = this.height / 2 + (i * this.height * 0.15) + this.height * 0.075;
       top.castShadow = this.castShadow;
-      this.mesh.add(top);
+      this.detail.add(top);
     }
 
     // NHN 특유의 사선 모양 추가
@@ -683,12 +916,12 @@ export class Building {
     slant1.position.set(this.width * 0.4, 0, this.depth * 0.4);
     slant1.rotation.z = Math.PI * 0.1;
     slant1.castShadow = this.castShadow;
-    this.mesh.add(slant1);
+    this.detail.add(slant1);
 
     const slant2 = slant1.clone();
     slant2.position.set(-this.width * 0.4, 0, this.depth * 0.4);
     slant2.rotation.z = -Math.PI * 0.1;
-    this.mesh.add(slant2);
+    this.detail.add(slant2);
   }
 
   // Animation update
@@ -720,13 +953,36 @@ export class Building {
     return (r << 16) + (g << 8) + b;
   }
 
+  // 건물마다 만든 외벽 텍스처/재질/지오메트리 정리
+  disposeFacade() {
+    if (this.facadeMaterial) {
+      this.facadeMaterial.map.dispose();
+      this.facadeMaterial.emissiveMap.dispose();
+      this.facadeMaterial.dispose();
+      this.facadeMaterial = null;
+    }
+    if (this.facadeGeometry) {
+      this.facadeGeometry.dispose();
+      this.facadeGeometry = null;
+    }
+  }
+
   // 리소스 정리 메서드
   dispose() {
+    // 강조 해제 후 복제 재질 정리 (공유 재질은 캐시에서 정리)
+    this.highlightReasons.clear();
+    this.applyHighlight();
+    this.highlightMaterials.forEach(material => material.dispose());
+    this.highlightMaterials.clear();
+
     // 로고 텍스처 정리
     if (this.logo && this.logo.material && this.logo.material.map) {
       this.logo.material.map.dispose();
     }
 
+    this.disposeFacade();
+    this.batch = null;
+
     // 정리가 필요한 객체만 선택적으로 처리
     this.mesh.traverse(child => {
       // 공유 지오메트리/머티리얼을 사용하지 않는 요소만 정리
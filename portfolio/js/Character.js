@@ -1,12 +1,37 @@
 // Character.js
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { FollowCamera } from './FollowCamera.js';
 
 export class Character {
-  constructor(scene, camera, ground) {
+  // 이동 속도
+  static WALK_SPEED = 4;
+  static RUN_SPEED = 8;
+
+  // 애니메이션이 없을 때 (임시 모델) 발소리 간격 - 한 걸음 거리
+  static WALK_STRIDE = 1.2;
+  static RUN_STRIDE = 1.8;
+
+  // 중력, 점프 (점프 애니메이션이 없을 때의 초기 속도), 걸어서 오를 수 있는 단차
+  static GRAVITY = 20;
+  static JUMP_SPEED = 7;
+  static STEP_HEIGHT = 0.9;
+  // 이보다 낮은 내리막/단차는 떨어지지 않고 붙어서 내려감
+  static SNAP_DOWN = 0.3;
+
+  // 충돌용 원기둥 (반지름, 키)
+  static RADIUS = 0.45;
+  static HEIGHT = 1.8;
+
+  constructor(scene, camera, ground, loadingManager, input) {
     this.scene = scene;
     this.camera = camera;
     this.ground = ground;
+    this.loadingManager = loadingManager;
+
+    // 통합 입력 (키보드, 조이스틱, 게임패드)
+    this.input = input;
+
     this.model = null;
     this.mixer = null;
     this.animations = {};
@@ -19,24 +44,35 @@ export class Character {
     this.rotation = new THREE.Quaternion();
     this.position = new THREE.Vector3(0, 0, 0);
 
-    // 이동 상태
-    this.moveForward = false;
-    this.moveBackward = false;
-    this.moveLeft = false;
-    this.moveRight = false;
-    this.isRunning = false;
-
-    // 카메라 오프셋
-    this.cameraOffset = new THREE.Vector3(0, 5, 10);
-
-    // 충돌 감지용 레이캐스터
-    this.raycaster = new THREE.Raycaster();
+    // 추적 카메라 - 드래그/마우스로 회전, 휠로 거리 조절 (캐릭터 방향과 무관한 월드 기준)
+    this.followCamera = new FollowCamera(camera, { distance: 11, pitch: 0.45 });
+    // 카메라 충돌 검사에 쓸 주변 건물 (마지막 update 기준)
+    this.cameraObstacles = [];
+
+    // 건물/소품 충돌체 (CollisionWorld) - 없으면 충돌 처리 안 함
+    this.collisions = null;
+    // 주변 건물 찾기 (SpatialIndex) - 지면 높이와 카메라 충돌 검사 대상
+    this.spatialIndex = null;
+    this.body = { radius: Character.RADIUS, height: Character.HEIGHT, feetY: 0, stepHeight: Character.STEP_HEIGHT };
+
+    // 자동 이동 목표 (미니맵 클릭) - { x, z, onArrive, timeLeft }
+    this.autoWalk = null;
+
+    // 발소리 콜백 - (running) => {} 걸음마다 호출
+    this.onFootstep = null;
+    this.stepPhase = null;
+
+    // 수직 이동 - 지면 높이 추적, 중력, 점프
+    this.verticalVelocity = 0;
+    this.grounded = true;
+    this.landingTime = 0;      // 착지 애니메이션이 끝날 때까지 남은 시간
+    this.footOffset = 1;       // 모델 원점에서 발까지 높이 (임시 캡슐은 중심이 원점)
+    this.walkables = ground ? [ground] : []; // 발밑 높이를 잴 표면 (근처 건물은 매 프레임 추가)
+    this.groundRay = new THREE.Raycaster();
+    this.down = new THREE.Vector3(0, -1, 0);
 
     // 임시 모델 생성 (실제 GLB가 로드되기 전에 보여줄 간단한 모델)
     this.createTempModel();
-
-    // 키보드 이벤트 리스너 설정
-    this.setupKeyboardControls();
   }
 
   createTempModel() {
@@ -63,9 +99,18 @@ export class Character {
   }
 
   loadModel(modelPath) {
-    const loader = new GLTFLoader();
+    // 공유 로딩 매니저 사용 - 로딩 화면 진행률에 포함
+    const loader = new GLTFLoader(this.loadingManager);
 
     loader.load(modelPath, (gltf) => {
+      // 로드 전에 이동한 위치/방향 유지 (딥 링크 등으로 순간 이동한 경우)
+      const startPosition = new THREE.Vector3();
+      const startRotation = new THREE.Quaternion();
+      if (this.tempModel) {
+        startPosition.set(this.tempModel.position.x, this.tempModel.position.y - this.footOffset, this.tempModel.position.z);
+        startRotation.copy(this.tempModel.quaternion);
+      }
+
       // 기존 임시 모델 제거
       if (this.tempModel) {
         this.scene.remove(this.tempModel);
@@ -77,7 +122,9 @@ export class Character {
       // 로드된 모델 설정
       this.model = gltf.scene;
       this.model.scale.set(1, 1, 1); // 적절한 크기로 조정
-      this.model.position.set(0, 0, 0);
+      this.model.position.copy(startPosition);
+      this.model.quaternion.copy(startRotation);
+      this.footOffset = 0;
       this.model.castShadow = true;
       this.model.traverse((child) => {
         if (child.isMesh) {
@@ -101,9 +148,20 @@ export class Character {
             this.animations.walk = this.mixer.clipAction(clip);
           } else if (name.includes('run')) {
             this.animations.run = this.mixer.clipAction(clip);
+          } else if (name.includes('jump')) {
+            this.animations.jump = this.mixer.clipAction(clip);
+          } else if (name.includes('land')) {
+            this.animations.land = this.mixer.clipAction(clip);
           }
         });
 
+        // 점프와 착지는 한 번만 재생하고 마지막 자세 유지
+        [this.animations.jump, this.animations.land].forEach(action => {
+          if (!action) return;
+          action.setLoop(THREE.LoopOnce);
+          action.clampWhenFinished = true;
+        });
+
         // 기본 대기 애니메이션 재생
         if (this.animations.idle) {
           this.currentAction = this.animations.idle;
@@ -113,83 +171,19 @@ export class Character {
 
       console.log('캐릭터 모델 로드 완료');
     },
-      (xhr) => {
-        console.log(`모델 로딩 중: ${(xhr.loaded / xhr.total) * 100}%`);
-      },
+      // 진행률은 공유 로딩 매니저가 로딩 화면에 표시
+      undefined,
       (error) => {
         console.error('모델 로딩 오류:', error);
       });
   }
 
-  setupKeyboardControls() {
-    document.addEventListener('keydown', (event) => {
-      switch (event.code) {
-        case 'KeyW':
-        case 'ArrowUp':
-          this.moveForward = true;
-          break;
-
-        case 'KeyS':
-        case 'ArrowDown':
-          this.moveBackward = true;
-          break;
-
-        case 'KeyA':
-        case 'ArrowLeft':
-          this.moveLeft = true;
-          break;
-
-        case 'KeyD':
-        case 'ArrowRight':
-          this.moveRight = true;
-          break;
-
-        case 'ShiftLeft':
-          this.isRunning = true;
-          break;
-
-        case 'KeyE':
-          // 가까운 건물과 상호작용
-          this.interactWithNearbyBuilding();
-          break;
-      }
-    });
-
-    document.addEventListener('keyup', (event) => {
-      switch (event.code) {
-        case 'KeyW':
-        case 'ArrowUp':
-          this.moveForward = false;
-          break;
-
-        case 'KeyS':
-        case 'ArrowDown':
-          this.moveBackward = false;
-          break;
-
-        case 'KeyA':
-        case 'ArrowLeft':
-          this.moveLeft = false;
-          break;
-
-        case 'KeyD':
-        case 'ArrowRight':
-          this.moveRight = false;
-          break;
-
-        case 'ShiftLeft':
-          this.isRunning = false;
-          break;
-      }
-    });
-  }
-
-  interactWithNearbyBuilding() {
-    // 주변 건물 검색 로직은 나중에 구현
-    console.log('주변 건물 정보 확인');
+  // 카메라 시점 회전 (라디안)
+  rotateCamera(deltaYaw, deltaPitch) {
+    this.followCamera.rotate(deltaYaw, deltaPitch);
   }
 
-  update(delta, buildings) {
+  update(delta) {
     // 모델이 없을 경우 임시 모델 업데이트
     const characterModel = this.model || this.tempModel;
     if (!characterModel) return;
@@ -197,20 +191,28 @@ export class Character {
     // 애니메이션 믹서 업데이트
     if (this.mixer) this.mixer.update(delta);
 
-    // 이동 속도 계산
-    const speed = this.isRunning ? 8 : 4;
-    const velocity = speed * delta;
+    // 공중이거나 착지 중에는 걷기/대기 애니메이션으로 바꾸지 않음
+    this.landingTime = Math.max(0, this.landingTime - delta);
+    const locomotion = this.grounded && this.landingTime === 0;
 
-    // 이동 방향 계산
-    const direction = new THREE.Vector3();
+    // 시점 회전 입력 (드래그, 게임패드 오른쪽 스틱)
+    const look = this.input.consumeLook();
+    if (look.yaw || look.pitch) this.rotateCamera(look.yaw, look.pitch);
 
-    if (this.moveForward) direction.z -= 1;
-    if (this.moveBackward) direction.z += 1;
-    if (this.moveLeft) direction.x -= 1;
-    if (this.moveRight) direction.x += 1;
+    // 카메라 거리 입력 (마우스 휠)
+    const zoom = this.input.consumeZoom();
+    if (zoom) this.followCamera.zoom(zoom);
 
-    // 방향이 있을 경우만 처리
-    if (direction.length() > 0) {
+    // 이동 방향 및 속도 계산 - 입력 세기에 비례
+    const move = this.input.move;
+    const direction = new THREE.Vector3(move.x, 0, move.y);
+    const maxSpeed = THREE.MathUtils.lerp(Character.WALK_SPEED, Character.RUN_SPEED, this.input.runIntensity);
+    let velocity = maxSpeed * move.length() * delta;
+    let running = this.input.runIntensity > 0.5;
+
+    if (direction.lengthSq() > 0) {
+      // 직접 조작하면 자동 이동 취소
+      this.autoWalk = null;
       direction.normalize();
 
       // 카메라 방향 기준으로 이동 방향 계산
@@ -229,6 +231,27 @@ export class Character {
 
       // 이동 방향을 카메라 기준으로 변환
       direction.applyMatrix4(rotationMatrix);
+    } else if (this.autoWalk) {
+      // 자동 이동 (미니맵 클릭) - 목표 지점을 향해 달리기
+      const autoWalk = this.autoWalk;
+      direction.set(autoWalk.x - characterModel.position.x, 0, autoWalk.z - characterModel.position.z);
+      const distance = direction.length();
+      autoWalk.timeLeft -= delta;
+
+      if (distance < 0.1 || autoWalk.timeLeft <= 0) {
+        // 도착 (또는 장애물에 막혀 시간 초과)
+        direction.set(0, 0, 0);
+        this.autoWalk = null;
+        if (autoWalk.onArrive) autoWalk.onArrive(distance < 0.1);
+      } else {
+        direction.divideScalar(distance);
+        velocity = Math.min(Character.RUN_SPEED * delta, distance);
+        running = true;
+      }
+    }
+
+    // 방향이 있을 경우만 처리
+    if (direction.lengthSq() > 0) {
 
       // 캐릭터 회전
       characterModel.lookAt(
@@ -237,33 +260,150 @@ export class Character {
         characterModel.position.z + direction.z
       );
 
-      // 캐릭터 이동
-      characterModel.position.x += direction.x * velocity;
-      characterModel.position.z += direction.z * velocity;
-
-      // 그림자 위치 업데이트
-      if (this.shadow) {
-        this.shadow.position.x = characterModel.position.x;
-        this.shadow.position.z = characterModel.position.z;
-      }
+      // 캐릭터 이동 - 벽에 막히면 벽을 따라 미끄러짐
+      this.moveHorizontal(characterModel, direction.x * velocity, direction.z * velocity);
 
       // 애니메이션 상태 변경
-      if (this.mixer && this.animations) {
-        const newAction = this.isRunning ? this.animations.run : this.animations.walk;
+      if (this.mixer && this.animations && locomotion) {
+        const newAction = running ? this.animations.run : this.animations.walk;
         this.changeAnimation(newAction);
       }
+
+      if (this.grounded) {
+        this.updateFootsteps(velocity, running);
+      } else {
+        this.stepPhase = null;
+      }
     } else {
       // 멈췄을 때 대기 애니메이션으로 변경
-      if (this.mixer && this.animations && this.animations.idle) {
+      if (this.mixer && this.animations && this.animations.idle && locomotion) {
         this.changeAnimation(this.animations.idle);
       }
+
+      this.stepPhase = null;
     }
 
+    // 점프, 중력, 지형 높이
+    this.updateVertical(delta, characterModel);
+
+    // 제자리에서도 겹침 해소 (착지, 순간 이동 직후)
+    if (direction.lengthSq() === 0) this.moveHorizontal(characterModel, 0, 0);
+
     // 카메라 업데이트
-    this.updateCamera();
+    this.updateCamera(delta);
+  }
+
+  // 수평 이동 + 충돌 처리, 그림자도 함께 이동
+  moveHorizontal(characterModel, deltaX, deltaZ) {
+    const position = characterModel.position;
+
+    if (this.collisions) {
+      this.body.feetY = position.y - this.footOffset;
+      this.collisions.move(position, deltaX, deltaZ, this.body);
+    } else {
+      position.x += deltaX;
+      position.z += deltaZ;
+    }
+
+    if (this.shadow) {
+      this.shadow.position.x = position.x;
+      this.shadow.position.z = position.z;
+    }
+  }
+
+  // 정적 충돌체 설정 (CollisionWorld) - 주변 건물 검색에도 같은 공간 색인을 사용
+  setColliders(collisions) {
+    this.collisions = collisions;
+    this.spatialIndex = collisions ? collisions.index : null;
+  }
+
+  // 점프 초기 속도 - 점프 애니메이션이 있으면 체공 시간이 동작 길이에 맞도록
+  getJumpSpeed() {
+    const jump = this.animations.jump;
+    if (!jump) return Character.JUMP_SPEED;
+
+    const airTime = THREE.MathUtils.clamp(jump.getClip().duration * 0.8, 0.4, 1.2);
+    return Character.GRAVITY * airTime / 2;
+  }
+
+  // 발밑 지면 높이 - 발보다 STEP_HEIGHT 위에서 아래로 레이캐스트 (그보다 높은 면은 벽으로 취급)
+  getGroundHeight(x, z, feetY) {
+    const objects = this.walkables.concat(this.getNearbyBuildingMeshes(x, z, 2));
+
+    this.groundRay.set(new THREE.Vector3(x, feetY + Character.STEP_HEIGHT, z), this.down);
+    this.groundRay.far = Character.STEP_HEIGHT + 50;
+
+    const hit = this.groundRay.intersectObjects(objects, true)[0];
+    return hit ? hit.point.y : 0;
+  }
 
-    // 충돌 감지 및 처리
-    this.handleCollisions(buildings);
+  // (x, z)에서 range 안쪽까지 닿는 건물 메시 - 레이캐스트 대상을 줄이기 위함
+  // 정적 배치에 합쳐진 건물들은 같은 배치 메시를 가리키므로 한 번만 넣음
+  getNearbyBuildingMeshes(x, z, range) {
+    if (!this.spatialIndex) return [];
+    const meshes = this.spatialIndex.queryRadius(x, z, range, 'building').map(building => building.raycastTarget);
+    return [...new Set(meshes)];
+  }
+
+
+  updateVertical(delta, characterModel) {
+    // 점프 - 땅에 있을 때만
+    if (this.input.consumeJump() && this.grounded) {
+      this.verticalVelocity = this.getJumpSpeed();
+      this.grounded = false;
+      this.landingTime = 0;
+      if (this.animations.jump) this.changeAnimation(this.animations.jump);
+    }
+
+    const position = characterModel.position;
+    const feetY = position.y - this.footOffset;
+    const groundY = this.getGroundHeight(position.x, position.z, feetY);
+
+    this.verticalVelocity -= Character.GRAVITY * delta;
+    let y = feetY + this.verticalVelocity * delta;
+
+    if (y <= groundY || (this.grounded && this.verticalVelocity <= 0 && feetY - groundY < Character.SNAP_DOWN)) {
+      // 지면 위 (계단/광장으로 올라서거나 완만한 내리막은 붙어서 이동)
+      if (!this.grounded) this.land();
+      y = groundY;
+      this.verticalVelocity = 0;
+      this.grounded = true;
+    } else {
+      this.grounded = false;
+    }
+
+    position.y = y + this.footOffset;
+
+    // 바닥 그림자 - 지면에 붙이고 높이 뜰수록 작게
+    if (this.shadow) {
+      this.shadow.position.y = groundY + 0.01;
+      this.shadow.scale.setScalar(1 / (1 + (y - groundY) * 0.3));
+    }
+  }
+
+  land() {
+    this.stepPhase = null;
+    if (this.onFootstep) this.onFootstep(true);
+
+    if (this.animations.land) {
+      this.changeAnimation(this.animations.land);
+      this.landingTime = Math.min(this.animations.land.getClip().duration, 0.4);
+    }
+  }
+
+  // 발소리 - 걷기/달리기 애니메이션 한 주기에 두 걸음, 애니메이션이 없으면 이동 거리 기준
+  updateFootsteps(distance, running) {
+    const action = this.currentAction;
+    const animated = action && (action === this.animations.walk || action === this.animations.run);
+
+    const phase = animated
+      ? action.time / action.getClip().duration * 2
+      : (this.stepPhase ?? 0) + distance / (running ? Character.RUN_STRIDE : Character.WALK_STRIDE);
+
+    if (this.stepPhase !== null && Math.floor(phase) !== Math.floor(this.stepPhase) && this.onFootstep) {
+      this.onFootstep(running);
+    }
+    this.stepPhase = phase;
   }
 
   changeAnimation(newAction) {
@@ -278,55 +418,87 @@ export class Character {
     this.currentAction = newAction;
   }
 
-  updateCamera() {
-    // 모델이 없을 경우 임시 모델 사용
+  // 발 위치 (모델 원점에서 footOffset만큼 아래)
+  getFeetPosition(out) {
     const target = this.model || this.tempModel;
-    if (!target) return;
+    out.copy(target.position);
+    out.y -= this.footOffset;
+    return out;
+  }
+
+  // 캐릭터 추적 카메라의 목표 위치와 시선 - 감쇠 없이 바로 계산 (모드 전환 비행에서도 사용)
+  getCameraPose(outPosition, outTarget) {
+    const target = this.model || this.tempModel;
+    if (!target) return false;
 
-    // 카메라가 캐릭터 뒤를 따라가도록 설정
-    const idealOffset = new THREE.Vector3(0, this.cameraOffset.y, this.cameraOffset.z);
-    idealOffset.applyQuaternion(target.quaternion);
-    idealOffset.add(target.position);
+    const feet = this.getFeetPosition(new THREE.Vector3());
+    return this.followCamera.getPose(feet, outPosition, outTarget, this.cameraObstacles);
+  }
 
-    const idealLookAt = new THREE.Vector3(0, 1, -10);
-    idealLookAt.applyQuaternion(target.quaternion);
-    idealLookAt.add(target.position);
+  // 감쇠 중인 카메라를 목표 자세로 바로 맞춤 (순간 이동, 모드 전환 직후)
+  snapCamera() {
+    const target = this.model || this.tempModel;
+    if (!target) return;
 
-    // 부드럽게 카메라 이동 (실제 구현에서는 lerp 사용)
-    this.camera.position.copy(idealOffset);
-    this.camera.lookAt(target.position);
+    this.followCamera.snap(this.getFeetPosition(new THREE.Vector3()), this.cameraObstacles);
   }
 
-  handleCollisions(buildings) {
-    // 간단한 충돌 검사 (실제 구현에서는 더 정교한 방식 사용)
+  // 지정 위치까지 자동으로 달려감 - onArrive(arrived)는 도착 또는 시간 초과 시 호출
+  walkTo(x, z, onArrive = null) {
     const target = this.model || this.tempModel;
     if (!target) return;
 
-    // 건물과의 충돌 검사
-    for (const building of buildings) {
-      if (!building.mesh) continue;
+    const distance = Math.hypot(x - target.position.x, z - target.position.z);
+    this.autoWalk = {
+      x,
+      z,
+      onArrive,
+      // 건물에 막혀 도착하지 못하는 경우 대비 - 예상 시간의 두 배 뒤 포기
+      timeLeft: distance / Character.RUN_SPEED * 2 + 1
+    };
+  }
 
-      // 건물의 바운딩 박스 계산
-      const buildingBox = new THREE.Box3().setFromObject(building.mesh);
+  // 자동 이동 취소
+  cancelWalk() {
+    this.autoWalk = null;
+  }
 
-      // 캐릭터의 바운딩 박스 계산
-      const characterBox = new THREE.Box3().setFromObject(target);
+  // 캐릭터를 지정 위치로 즉시 이동 (전경 모드에서 건물 선택 시 등)
+  teleport(x, z, lookAtX = x, lookAtZ = z - 1) {
+    const target = this.model || this.tempModel;
+    if (!target) return;
 
-      // 충돌 검사
-      if (characterBox.intersectsBox(buildingBox)) {
-        // 충돌 시 처리 (간단하게 이전 위치로 되돌리기)
-        const pushDirection = new THREE.Vector3();
-        pushDirection.subVectors(target.position, building.mesh.position).normalize();
+    target.position.x = x;
+    target.position.z = z;
+    target.lookAt(lookAtX, target.position.y, lookAtZ);
 
-        target.position.x += pushDirection.x * 0.1;
-        target.position.z += pushDirection.z * 0.1;
+    // 공중에서 순간 이동해도 새 위치의 지면부터 다시 시작
+    this.verticalVelocity = 0;
 
-        if (this.shadow) {
-          this.shadow.position.x = target.position.x;
-          this.shadow.position.z = target.position.z;
-        }
-      }
+    if (this.shadow) {
+      this.shadow.position.x = x;
+      this.shadow.position.z = z;
     }
+
+    // 이전 위치에서 카메라가 미끄러져 오지 않도록
+    this.snapCamera();
+  }
+
+  // 발밑 높이를 잴 표면 추가 (광장, 인도 등) - 지면은 생성자에서 등록
+  setWalkableSurfaces(objects) {
+    this.walkables = (this.ground ? [this.ground] : []).concat(objects.filter(Boolean));
+  }
+
+  updateCamera(delta) {
+    // 모델이 없을 경우 임시 모델 사용
+    const target = this.model || this.tempModel;
+    if (!target) return;
+
+    // 카메라 팔이 닿을 수 있는 범위의 건물만 충돌 검사
+    this.cameraObstacles = this.getNearbyBuildingMeshes(
+      target.position.x, target.position.z, this.followCamera.distance);
+
+    this.followCamera.update(delta, this.getFeetPosition(new THREE.Vector3()), this.cameraObstacles);
   }
 
   dispose() {
@@ -361,5 +533,10 @@ export class Character {
     this.mixer = null;
     this.animations = {};
     this.currentAction = null;
+    this.input = null;
+    this.walkables = [];
+    this.collisions = null;
+    this.spatialIndex = null;
+    this.cameraObstacles = [];
   }
 }
\ No newline at end of file
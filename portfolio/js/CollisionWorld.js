@@ -0,0 +1,206 @@
+// CollisionWorld.js
+import * as THREE from 'three';
+import { SpatialIndex } from './SpatialIndex.js';
+
+// 정적 충돌체 모음 - 건물과 거리 소품의 바닥 모양(회전 사각형, 원)을 한 번만 계산해 둠
+// 캐릭터는 수직 원기둥으로 보고, 겹치면 접촉면의 법선 방향으로만 밀어내 벽을 따라 미끄러지게 함
+// body: { radius, height, feetY, stepHeight } - stepHeight 이하로 낮은 충돌체는 올라설 수 있으므로 막지 않음
+export class CollisionWorld {
+  // 코너에서 여러 충돌체를 번갈아 밀어낼 때 반복 횟수
+  static ITERATIONS = 4;
+
+  // index: 건물/소품과 함께 쓰는 공간 색인 (광역 검사)
+  constructor(index = new SpatialIndex()) {
+    this.index = index;
+    this.colliders = [];
+  }
+
+  // 충돌체는 XZ 질의에만 쓰므로 높이 없이 바닥 사각형만 색인에 등록
+  register(collider) {
+    const { x, z, reach, bottom } = collider;
+    this.index.insert(collider, new THREE.Box3(
+      new THREE.Vector3(x - reach, bottom, z - reach),
+      new THREE.Vector3(x + reach, bottom, z + reach)
+    ), 'collider');
+    this.colliders.push(collider);
+    return collider;
+  }
+
+  // 회전 사각형 - (x, z) 중심, width × depth, rotation은 Object3D.rotation.y와 같은 방향
+  addBox(x, z, width, depth, options = {}) {
+    const { rotation = 0, bottom = 0, top = Infinity, object = null } = options;
+
+    const collider = {
+      type: 'box',
+      x,
+      z,
+      halfWidth: width / 2,
+      halfDepth: depth / 2,
+      cos: Math.cos(rotation),
+      sin: Math.sin(rotation),
+      bottom,
+      top,
+      object,
+      // 대략적인 범위 검사용 외접원 반지름
+      reach: Math.hypot(width, depth) / 2
+    };
+    return this.register(collider);
+  }
+
+  addCircle(x, z, radius, options = {}) {
+    const { bottom = 0, top = Infinity, object = null } = options;
+
+    return this.register({ type: 'circle', x, z, radius, bottom, top, object, reach: radius });
+  }
+
+  // 축 정렬된 오브젝트(건물 그룹 등)에서 바닥에 닿은 메시마다 경계 상자를 충돌체로 등록
+  // 몸체, 기단, 계단이 따로 등록되므로 낮은 기단/계단은 올라서고 몸체는 막힘 (창문, 장식은 제외)
+  addObject(object, options = {}) {
+    const { owner = object, groundTolerance = 0.1 } = options;
+
+    const bounds = new THREE.Box3().setFromObject(object);
+    if (bounds.isEmpty()) return [];
+
+    const box = new THREE.Box3();
+    const colliders = [];
+    object.traverse(child => {
+      // 창문 인스턴스와 상세도 대체 모델(LOD)은 건너뜀
+      if (!child.isMesh || child.isInstancedMesh || child.userData.proxy) return;
+
+      box.setFromObject(child);
+      if (box.isEmpty() || box.min.y > bounds.min.y + groundTolerance) return;
+
+      colliders.push(this.addBox(
+        (box.min.x + box.max.x) / 2,
+        (box.min.z + box.max.z) / 2,
+        box.max.x - box.min.x,
+        box.max.z - box.min.z,
+        { bottom: box.min.y, top: box.max.y, object: owner }
+      ));
+    });
+    return colliders;
+  }
+
+  remove(object) {
+    this.colliders = this.colliders.filter(collider => {
+      if (collider.object !== object) return true;
+      this.index.remove(collider);
+      return false;
+    });
+  }
+
+  // position(x, z)을 (deltaX, deltaZ)만큼 옮기며 충돌 처리
+  // 한 번에 반지름의 절반 이상 움직이지 않도록 나눠서 이동 (달리기에도 벽을 뚫지 않음)
+  move(position, deltaX, deltaZ, body) {
+    const distance = Math.hypot(deltaX, deltaZ);
+    const steps = Math.max(1, Math.ceil(distance / (body.radius * 0.5)));
+    const candidates = this.query(position.x, position.z, distance + body.radius);
+    let hit = false;
+
+    for (let i = 0; i < steps; i++) {
+      position.x += deltaX / steps;
+      position.z += deltaZ / steps;
+      if (this.resolve(position, body, candidates)) hit = true;
+    }
+
+    return hit;
+  }
+
+  // 범위 안에 있을 수 있는 충돌체
+  query(x, z, range) {
+    return this.index.queryBox(x - range, z - range, x + range, z + range, 'collider');
+  }
+
+  // 겹친 충돌체에서 밀어냄 - 코너는 두 벽을 번갈아 풀 수 있도록 여러 번 반복
+  resolve(position, body, candidates = this.query(position.x, position.z, body.radius)) {
+    const { radius, height, feetY, stepHeight = 0 } = body;
+    let hit = false;
+
+    for (let iteration = 0; iteration < CollisionWorld.ITERATIONS; iteration++) {
+      let pushed = false;
+
+      for (const collider of candidates) {
+        // 올라설 수 있을 만큼 낮거나 (점프로 넘은 경우 포함) 머리 위로 지나가는 충돌체는 무시
+        if (collider.top <= feetY + stepHeight || feetY + height <= collider.bottom) continue;
+
+        if (collider.type === 'circle') {
+          pushed = this.pushFromCircle(position, radius, collider) || pushed;
+        } else {
+          pushed = this.pushFromBox(position, radius, collider) || pushed;
+        }
+      }
+
+      if (!pushed) break;
+      hit = true;
+    }
+
+    return hit;
+  }
+
+  pushFromCircle(position, radius, collider) {
+    const dx = position.x - collider.x;
+    const dz = position.z - collider.z;
+    const minDistance = radius + collider.radius;
+    const distanceSq = dx * dx + dz * dz;
+    if (distanceSq >= minDistance * minDistance) return false;
+
+    const distance = Math.sqrt(distanceSq);
+    if (distance < 1e-6) {
+      // 정확히 중심에 있으면 +x로 밀어냄
+      position.x = collider.x + minDistance;
+      return true;
+    }
+
+    const push = (minDistance - distance) / distance;
+    position.x += dx * push;
+    position.z += dz * push;
+    return true;
+  }
+
+  pushFromBox(position, radius, collider) {
+    const { cos, sin, halfWidth, halfDepth } = collider;
+
+    // 월드 → 사각형 로컬 좌표 (rotation.y의 역회전)
+    const dx = position.x - collider.x;
+    const dz = position.z - collider.z;
+    const localX = dx * cos - dz * sin;
+    const localZ = dx * sin + dz * cos;
+
+    // 사각형 위 가장 가까운 점
+    const closestX = THREE.MathUtils.clamp(localX, -halfWidth, halfWidth);
+    const closestZ = THREE.MathUtils.clamp(localZ, -halfDepth, halfDepth);
+    let offsetX = localX - closestX;
+    let offsetZ = localZ - closestZ;
+    const distanceSq = offsetX * offsetX + offsetZ * offsetZ;
+    if (distanceSq >= radius * radius) return false;
+
+    if (distanceSq > 1e-12) {
+      // 바깥에서 겹침 - 가장 가까운 점에서 반지름만큼 떨어뜨림 (벽면이면 법선, 모서리면 대각선)
+      const distance = Math.sqrt(distanceSq);
+      const push = (radius - distance) / distance;
+      offsetX *= push;
+      offsetZ *= push;
+    } else {
+      // 중심이 사각형 안 - 가장 얕은 면으로 빼냄
+      const exitX = halfWidth - Math.abs(localX) + radius;
+      const exitZ = halfDepth - Math.abs(localZ) + radius;
+      if (exitX < exitZ) {
+        offsetX = Math.sign(localX || 1) * exitX;
+        offsetZ = 0;
+      } else {
+        offsetX = 0;
+        offsetZ = Math.sign(localZ || 1) * exitZ;
+      }
+    }
+
+    // 로컬 → 월드
+    position.x += offsetX * cos + offsetZ * sin;
+    position.z += -offsetX * sin + offsetZ * cos;
+    return true;
+  }
+
+  dispose() {
+    this.colliders.forEach(collider => this.index.remove(collider));
+    this.colliders = [];
+  }
+}
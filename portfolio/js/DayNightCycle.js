@@ -0,0 +1,224 @@
+// DayNightCycle.js
+import * as THREE from 'three';
+
+// 하루 주기 - 시간에 따라 태양 위치, 하늘/안개/환경광 색상, 가로등과 창문 불빛을 조절
+// 실제 현재 시각(LIVE), 빨라진 시계(FAST), 슬라이더로 고정한 시각(MANUAL) 중 하나로 동작
+export class DayNightCycle {
+  static LIVE = 'live';
+  static FAST = 'fast';
+  static MANUAL = 'manual';
+
+  // 하늘 색상
+  static DAY_SKY = new THREE.Color(0xf0f5f9);
+  static DUSK_SKY = new THREE.Color(0xf2b48c);
+  static NIGHT_SKY = new THREE.Color(0x0d1528);
+
+  // 창문 색상 - 낮에는 하늘빛 반사, 밤에는 따뜻한 실내등
+  static DAY_WINDOW = new THREE.Color(0xc8e6f5);
+  static NIGHT_WINDOW = new THREE.Color(0xffd58a);
+
+  // 환경광 - 밤에는 푸른빛
+  static DAY_AMBIENT = new THREE.Color(0xffffff);
+  static NIGHT_AMBIENT = new THREE.Color(0x6677aa);
+
+  constructor(scene, renderer, lights, options = {}) {
+    const {
+      mode = DayNightCycle.LIVE,
+      startTime = 12,    // MANUAL/FAST 모드 시작 시각 (시)
+      dayLength = 600,   // FAST 모드에서 하루가 지나는 시간 (초)
+      streetlights = [], // PointLight 배열
+      windowMaterials = [], // 건물 창문 재질 (공유 재질)
+      onWindowChange = null // 창문 불빛이 바뀐 뒤 호출 (강조 중인 건물의 복제 재질 갱신)
+    } = options;
+
+    this.scene = scene;
+    this.renderer = renderer;
+    this.lights = lights; // { ambient, sun, fill, spot }
+    this.streetlights = streetlights;
+    this.windowMaterials = windowMaterials;
+    this.onWindowChange = onWindowChange;
+    this.dayLength = dayLength;
+
+    this.mode = mode;
+    this.time = mode === DayNightCycle.LIVE ? this.getLocalTime() : startTime;
+
+    // 마지막으로 그림자를 갱신한 태양 위치 (정적 그림자 맵 갱신 최소화)
+    this.shadowTime = null;
+
+    // 마지막으로 적용한 창문 불빛 세기 (바뀔 때만 onWindowChange 호출)
+    this.lampLevel = null;
+
+    // 조명 기본값 (낮 기준)
+    this.baseIntensity = {
+      ambient: lights.ambient.intensity,
+      sun: lights.sun.intensity,
+      fill: lights.fill.intensity,
+      spot: lights.spot.intensity
+    };
+    this.streetlightIntensity = streetlights.length > 0 ? streetlights[0].intensity : 1;
+
+    // 재사용 색상
+    this.skyColor = new THREE.Color();
+
+    // 바인딩
+    this.onSliderInput = this.onSliderInput.bind(this);
+    this.onLiveClick = this.onLiveClick.bind(this);
+    this.onPlayClick = this.onPlayClick.bind(this);
+    this.onControlsClick = this.onControlsClick.bind(this);
+
+    this.createControls();
+    this.apply();
+  }
+
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.className = 'time-control';
+    this.controls.innerHTML = `
+      <span class="time-label"></span>
+      <input class="time-slider" type="range" min="0" max="24" step="0.05" aria-label="Time of day">
+      <button class="time-live" title="Follow local time">Live</button>
+      <button class="time-play" title="Fast-forward time">&#9654;</button>
+    `;
+    document.body.appendChild(this.controls);
+
+    this.label = this.controls.querySelector('.time-label');
+    this.slider = this.controls.querySelector('.time-slider');
+    this.liveBtn = this.controls.querySelector('.time-live');
+    this.playBtn = this.controls.querySelector('.time-play');
+
+    // 컨트롤 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+    this.controls.addEventListener('click', this.onControlsClick);
+    this.slider.addEventListener('input', this.onSliderInput);
+    this.liveBtn.addEventListener('click', this.onLiveClick);
+    this.playBtn.addEventListener('click', this.onPlayClick);
+  }
+
+  onControlsClick(event) {
+    event.stopPropagation();
+  }
+
+  // 슬라이더로 시각을 옮기면 그 시각에 고정
+  onSliderInput() {
+    this.mode = DayNightCycle.MANUAL;
+    this.setTime(parseFloat(this.slider.value));
+  }
+
+  onLiveClick() {
+    this.setMode(DayNightCycle.LIVE);
+  }
+
+  onPlayClick() {
+    this.setMode(this.mode === DayNightCycle.FAST ? DayNightCycle.MANUAL : DayNightCycle.FAST);
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    if (mode === DayNightCycle.LIVE) {
+      this.setTime(this.getLocalTime());
+    } else {
+      this.updateControls();
+    }
+  }
+
+  // 현재 시각 (0~24 시)
+  getLocalTime() {
+    const now = new Date();
+    return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+  }
+
+  setTime(hours) {
+    this.time = ((hours % 24) + 24) % 24;
+    this.apply();
+  }
+
+  updateControls() {
+    const hours = Math.floor(this.time);
+    const minutes = Math.floor((this.time - hours) * 60);
+    const label = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    if (this.label.textContent !== label) this.label.textContent = label;
+
+    // 드래그 중에는 슬라이더 값을 덮어쓰지 않음
+    if (document.activeElement !== this.slider) {
+      this.slider.value = this.time.toFixed(2);
+    }
+
+    this.liveBtn.classList.toggle('active', this.mode === DayNightCycle.LIVE);
+    this.playBtn.classList.toggle('active', this.mode === DayNightCycle.FAST);
+  }
+
+  // 시각에 따른 조명/색상 적용
+  apply() {
+    const { ambient, sun, fill, spot } = this.lights;
+
+    // 태양 고도 - 6시 일출, 12시 정점, 18시 일몰
+    const angle = (this.time - 6) / 12 * Math.PI;
+    const elevation = Math.sin(angle);
+    sun.position.set(Math.cos(angle) * 25, elevation * 25, 15);
+
+    // 낮 정도 (0: 밤, 1: 낮)와 노을 정도 (지평선 근처에서 최대)
+    const daylight = THREE.MathUtils.smoothstep(elevation, -0.1, 0.3);
+    const twilight = Math.max(0, 1 - Math.abs(elevation) / 0.3);
+
+    // 하늘, 안개, 배경색
+    this.skyColor.copy(DayNightCycle.NIGHT_SKY).lerp(DayNightCycle.DAY_SKY, daylight);
+    this.skyColor.lerp(DayNightCycle.DUSK_SKY, twilight * 0.6);
+    this.renderer.setClearColor(this.skyColor);
+    if (this.scene.fog) this.scene.fog.color.copy(this.skyColor);
+
+    // 조명 세기 - 밤에도 윤곽이 보이도록 약한 푸른 환경광 유지
+    ambient.color.copy(DayNightCycle.NIGHT_AMBIENT).lerp(DayNightCycle.DAY_AMBIENT, daylight);
+    ambient.intensity = THREE.MathUtils.lerp(0.25, this.baseIntensity.ambient, daylight);
+    sun.intensity = this.baseIntensity.sun * daylight;
+    fill.intensity = THREE.MathUtils.lerp(0.08, this.baseIntensity.fill, daylight);
+    spot.intensity = this.baseIntensity.spot * daylight;
+
+    // 해 질 녘부터 가로등과 창문 불빛 켜짐
+    const night = 1 - daylight;
+    const lampLevel = THREE.MathUtils.smoothstep(night, 0.3, 0.7);
+    this.streetlights.forEach(light => {
+      light.intensity = this.streetlightIntensity * lampLevel;
+    });
+    this.windowMaterials.forEach(material => {
+      material.emissive.copy(DayNightCycle.DAY_WINDOW).lerp(DayNightCycle.NIGHT_WINDOW, lampLevel);
+      material.emissiveIntensity = THREE.MathUtils.lerp(0.2, 0.9, lampLevel);
+    });
+    if (lampLevel !== this.lampLevel) {
+      this.lampLevel = lampLevel;
+      if (this.onWindowChange) this.onWindowChange();
+    }
+
+    // 태양이 충분히 움직였을 때만 그림자 맵 갱신 (약 6분 단위)
+    if (this.shadowTime === null || Math.abs(this.time - this.shadowTime) > 0.1) {
+      this.shadowTime = this.time;
+      this.renderer.shadowMap.needsUpdate = true;
+    }
+
+    this.updateControls();
+  }
+
+  update(delta) {
+    if (this.mode === DayNightCycle.LIVE) {
+      this.time = this.getLocalTime();
+    } else if (this.mode === DayNightCycle.FAST) {
+      this.time = (this.time + delta / this.dayLength * 24) % 24;
+    }
+
+    // 태양 세기는 날씨가 매 프레임 덧씌우므로 시각이 멈춰 있어도 매 프레임 다시 적용
+    this.apply();
+  }
+
+  dispose() {
+    if (this.controls) {
+      this.controls.removeEventListener('click', this.onControlsClick);
+      this.slider.removeEventListener('input', this.onSliderInput);
+      this.liveBtn.removeEventListener('click', this.onLiveClick);
+      this.playBtn.removeEventListener('click', this.onPlayClick);
+      if (this.controls.parentNode) this.controls.parentNode.removeChild(this.controls);
+    }
+
+    this.controls = null;
+    this.streetlights = [];
+    this.windowMaterials = [];
+    this.onWindowChange = null;
+  }
+}
@@ -0,0 +1,185 @@
+// ExplorationModeController.js
+import * as THREE from 'three';
+
+// 탐색 모드 전환 - 3인칭 걷기 모드와 광장 중심의 오비트 전경 모드 사이를 카메라 비행으로 전환
+export class ExplorationModeController {
+  static WALK = 'walk';
+  static OVERVIEW = 'overview';
+
+  constructor(camera, controls, options = {}) {
+    const {
+      character = null,
+      overviewPosition = new THREE.Vector3(40, 55, 40),
+      overviewTarget = new THREE.Vector3(0, 0, 0), // 중앙 광장
+      duration = 1.5,        // 전환 비행 시간 (초)
+      onModeChange = null    // (mode) => {} 전환 완료 시 호출
+    } = options;
+
+    this.camera = camera;
+    this.controls = controls;
+    this.character = character;
+    this.duration = duration;
+    this.onModeChange = onModeChange;
+
+    this.mode = ExplorationModeController.WALK;
+
+    // 모드별 카메라 상태 - 걷기 모드는 Character가 자체 회전값을 유지
+    this.overviewState = {
+      position: overviewPosition.clone(),
+      target: overviewTarget.clone()
+    };
+
+    // 현재 비행 상태
+    this.flight = null;
+
+    // 재사용 벡터
+    this.walkPose = { position: new THREE.Vector3(), target: new THREE.Vector3() };
+    this.lookTarget = new THREE.Vector3();
+
+    // 바인딩
+    this.toggle = this.toggle.bind(this);
+    this.onButtonClick = this.onButtonClick.bind(this);
+
+    this.createToggleButton();
+  }
+
+  createToggleButton() {
+    this.button = document.createElement('button');
+    this.button.className = 'mode-toggle';
+    this.button.addEventListener('click', this.onButtonClick);
+    document.body.appendChild(this.button);
+    this.updateButton();
+  }
+
+  onButtonClick(event) {
+    // 버튼 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+    event.stopPropagation();
+    this.toggle();
+  }
+
+  updateButton() {
+    const toOverview = this.mode === ExplorationModeController.WALK;
+    this.button.textContent = toOverview ? 'Overview (V)' : 'Walk (V)';
+  }
+
+  get isTransitioning() {
+    return this.flight !== null;
+  }
+
+  toggle() {
+    this.setMode(this.mode === ExplorationModeController.WALK
+      ? ExplorationModeController.OVERVIEW
+      : ExplorationModeController.WALK);
+  }
+
+  setMode(mode) {
+    if (mode === this.mode || this.isTransitioning) return;
+
+    // 비행 시작 시선 - 걷기 모드는 캐릭터, 전경 모드는 오비트 타깃
+    const fromTarget = new THREE.Vector3();
+    if (this.mode === ExplorationModeController.OVERVIEW) {
+      // 전경 모드를 떠날 때 카메라 상태 저장
+      this.overviewState.position.copy(this.camera.position);
+      this.overviewState.target.copy(this.controls.target);
+      fromTarget.copy(this.controls.target);
+    } else {
+      fromTarget.copy(this.getWalkPose().target);
+    }
+
+    this.controls.enabled = false;
+    this.mode = mode;
+    this.updateButton();
+
+    if (mode === ExplorationModeController.OVERVIEW) {
+      this.flyTo(this.overviewState, fromTarget, () => {
+        this.controls.target.copy(this.overviewState.target);
+        this.controls.enabled = true;
+        this.controls.update();
+      });
+    } else {
+      // 걷기 모드 카메라 위치는 캐릭터를 따라 매 프레임 다시 계산
+      this.flyTo(() => this.getWalkPose(), fromTarget);
+    }
+  }
+
+  // 비행 없이 전경 모드의 지정 위치로 바로 이동 (딥 링크)
+  jumpToOverview(position, target) {
+    this.flight = null;
+    this.mode = ExplorationModeController.OVERVIEW;
+    this.updateButton();
+
+    this.overviewState.position.copy(position);
+    this.overviewState.target.copy(target);
+    this.camera.position.copy(position);
+    this.controls.target.copy(target);
+    this.controls.enabled = true;
+    this.controls.update();
+
+    if (this.onModeChange) this.onModeChange(this.mode);
+  }
+
+  // 외부에서 카메라를 움직인 뒤(가이드 투어 등) 걷기 모드로 복귀
+  resumeWalk(fromTarget) {
+    this.controls.enabled = false;
+    this.flight = null;
+    this.mode = ExplorationModeController.WALK;
+    this.updateButton();
+    this.flyTo(() => this.getWalkPose(), fromTarget);
+  }
+
+  // 캐릭터 추적 카메라의 목표 위치/시선
+  getWalkPose() {
+    if (this.character) {
+      this.character.getCameraPose(this.walkPose.position, this.walkPose.target);
+    }
+    return this.walkPose;
+  }
+
+  // 카메라를 목표 위치로 부드럽게 이동
+  // destination: { position, target } 또는 매 프레임 목표를 돌려주는 함수
+  flyTo(destination, fromTarget, onComplete = null) {
+    this.flight = {
+      fromPosition: this.camera.position.clone(),
+      fromTarget: fromTarget.clone(),
+      resolve: typeof destination === 'function' ? destination : () => destination,
+      elapsed: 0,
+      onComplete
+    };
+  }
+
+  // 매 프레임 호출 - 비행 중이면 true
+  update(delta) {
+    if (!this.flight) return false;
+
+    const flight = this.flight;
+    flight.elapsed += delta;
+
+    const t = Math.min(flight.elapsed / this.duration, 1);
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // easeInOutCubic
+    const { position, target } = flight.resolve();
+
+    this.camera.position.lerpVectors(flight.fromPosition, position, eased);
+    this.lookTarget.lerpVectors(flight.fromTarget, target, eased);
+    this.camera.lookAt(this.lookTarget);
+
+    if (t >= 1) {
+      this.flight = null;
+      if (flight.onComplete) flight.onComplete();
+      if (this.onModeChange) this.onModeChange(this.mode);
+    }
+
+    return true;
+  }
+
+  dispose() {
+    if (this.button) {
+      this.button.removeEventListener('click', this.onButtonClick);
+      if (this.button.parentNode) this.button.parentNode.removeChild(this.button);
+    }
+
+    this.button = null;
+    this.flight = null;
+    this.character = null;
+    this.onModeChange = null;
+  }
+}
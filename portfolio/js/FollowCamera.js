@@ -0,0 +1,119 @@
+// FollowCamera.js
+import * as THREE from 'three';
+
+// 스프링 암 추적 카메라 - 캐릭터 위 기준점에서 yaw/pitch 방향으로 뻗은 팔 끝에 카메라를 둠
+// 기준점은 부드럽게 따라가고, 건물이 시야를 가리면 팔을 즉시 줄였다가 천천히 다시 늘림
+export class FollowCamera {
+  static MIN_DISTANCE = 2.5;
+  static MAX_DISTANCE = 20;
+  static MIN_PITCH = -0.15;
+  static MAX_PITCH = 1.2;
+
+  constructor(camera, options = {}) {
+    const {
+      distance = 10,    // 팔 길이
+      pitch = 0.45,     // 올려다보는 각 (라디안, 클수록 위에서 내려다봄)
+      yaw = 0,          // 0이면 캐릭터의 +z 쪽에서 -z 방향을 바라봄
+      height = 1.5,     // 발에서 기준점까지 높이
+      damping = 10,     // 기준점 추적 세기
+      padding = 0.3     // 벽에서 띄우는 거리
+    } = options;
+
+    this.camera = camera;
+    this.yaw = yaw;
+    this.pitch = pitch;
+    this.distance = distance;     // 목표 팔 길이 (휠로 조절)
+    this.armLength = distance;    // 충돌을 반영한 현재 팔 길이
+    this.height = height;
+    this.damping = damping;
+    this.padding = padding;
+
+    this.pivot = new THREE.Vector3();
+    this.hasPivot = false;
+
+    // 재사용 객체
+    this.raycaster = new THREE.Raycaster();
+    this.direction = new THREE.Vector3();
+    this.idealPivot = new THREE.Vector3();
+  }
+
+  rotate(deltaYaw, deltaPitch) {
+    this.yaw += deltaYaw;
+    this.pitch = THREE.MathUtils.clamp(this.pitch + deltaPitch, FollowCamera.MIN_PITCH, FollowCamera.MAX_PITCH);
+  }
+
+  // amount > 0 이면 멀어짐
+  zoom(amount) {
+    this.distance = THREE.MathUtils.clamp(this.distance * Math.pow(1.1, amount),
+      FollowCamera.MIN_DISTANCE, FollowCamera.MAX_DISTANCE);
+  }
+
+  // 기준점에서 카메라 쪽으로 향하는 단위 벡터
+  getArmDirection(out) {
+    const cosPitch = Math.cos(this.pitch);
+    return out.set(Math.sin(this.yaw) * cosPitch, Math.sin(this.pitch), Math.cos(this.yaw) * cosPitch);
+  }
+
+  // 장애물에 막히지 않는 팔 길이
+  getClearDistance(pivot, direction, distance, obstacles) {
+    if (obstacles.length === 0) return distance;
+
+    this.raycaster.set(pivot, direction);
+    this.raycaster.far = distance + this.padding;
+
+    const hit = this.raycaster.intersectObjects(obstacles, true)[0];
+    if (!hit) return distance;
+    return Math.max(FollowCamera.MIN_DISTANCE * 0.4, hit.distance - this.padding);
+  }
+
+  // 감쇠 없이 계산한 목표 자세 (모드 전환 비행의 도착점 등)
+  getPose(feetPosition, outPosition, outTarget, obstacles = []) {
+    outTarget.copy(feetPosition);
+    outTarget.y += this.height;
+
+    this.getArmDirection(this.direction);
+    const length = this.getClearDistance(outTarget, this.direction, this.distance, obstacles);
+    outPosition.copy(outTarget).addScaledVector(this.direction, length);
+    outPosition.y = Math.max(outPosition.y, feetPosition.y + 0.3);
+    return true;
+  }
+
+  // 순간 이동이나 비행이 끝난 뒤 감쇠 상태를 목표 자세에 맞춤
+  snap(feetPosition, obstacles = []) {
+    this.idealPivot.copy(feetPosition);
+    this.idealPivot.y += this.height;
+    this.pivot.copy(this.idealPivot);
+    this.hasPivot = true;
+
+    this.getArmDirection(this.direction);
+    this.armLength = this.getClearDistance(this.pivot, this.direction, this.distance, obstacles);
+    this.apply(feetPosition);
+  }
+
+  update(delta, feetPosition, obstacles = []) {
+    if (!this.hasPivot) {
+      this.snap(feetPosition, obstacles);
+      return;
+    }
+
+    // 기준점 - 지수 감쇠로 따라감
+    this.idealPivot.copy(feetPosition);
+    this.idealPivot.y += this.height;
+    this.pivot.lerp(this.idealPivot, 1 - Math.exp(-this.damping * delta));
+
+    // 팔 길이 - 가려지면 즉시 줄이고 (벽 통과 방지), 트이면 천천히 늘림
+    this.getArmDirection(this.direction);
+    const clear = this.getClearDistance(this.pivot, this.direction, this.distance, obstacles);
+    this.armLength = clear < this.armLength
+      ? clear
+      : THREE.MathUtils.damp(this.armLength, clear, 4, delta);
+
+    this.apply(feetPosition);
+  }
+
+  apply(feetPosition) {
+    this.camera.position.copy(this.pivot).addScaledVector(this.direction, this.armLength);
+    this.camera.position.y = Math.max(this.camera.position.y, feetPosition.y + 0.3);
+    this.camera.lookAt(this.pivot);
+  }
+}
@@ -0,0 +1,316 @@
+// Fountain.js
+import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
+
+// 분수대 - 포물선을 그리는 물줄기 파티클, 수면에 떨어질 때 튀는 물방울, 잔물결이 이는 수면
+// 파티클 궤적은 모두 셰이더에서 계산 (시작점 + 속도 × t + 중력 × t² / 2, 수명마다 반복)
+export class Fountain {
+  static GRAVITY = -9.8;
+
+  // uTime을 되감는 주기 - 잔물결(4, 6 rad/s)과 모든 파티클 수명이 나누어떨어지도록 맞춤
+  // 오래 켜 두어도 셰이더의 mod/sin 입력이 커지지 않아 float 정밀도가 유지됨
+  static LOOP = Math.PI * 8;
+
+  static PARTICLE_VERTEX_SHADER = `
+    uniform float uTime;
+    uniform float uGravity;
+    uniform float uSize;
+    attribute vec3 aVelocity;
+    attribute float aLife;
+    attribute float aOffset;
+    varying float vFade;
+
+    void main() {
+      float t = mod(uTime + aOffset, aLife);
+      vec3 p = position + aVelocity * t;
+      p.y += 0.5 * uGravity * t * t;
+
+      vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+      gl_PointSize = uSize * (300.0 / -mvPosition.z);
+      gl_Position = projectionMatrix * mvPosition;
+
+      // 수명 처음과 끝에서 서서히 나타나고 사라짐
+      float age = t / aLife;
+      vFade = smoothstep(0.0, 0.1, age) * (1.0 - smoothstep(0.8, 1.0, age));
+    }
+  `;
+
+  static PARTICLE_FRAGMENT_SHADER = `
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    varying float vFade;
+
+    void main() {
+      float alpha = (1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5))) * uOpacity * vFade;
+      if (alpha < 0.01) discard;
+      gl_FragColor = vec4(uColor, alpha);
+    }
+  `;
+
+  // 수면 - 가운데 물기둥과 물줄기가 떨어지는 원에서 퍼지는 잔물결
+  static WATER_VERTEX_SHADER = `
+    #include <fog_pars_vertex>
+    uniform float uTime;
+    uniform float uSplashRadius;
+    varying float vSlope;
+    varying float vRadius;
+
+    void main() {
+      vec3 p = position;
+      float r = length(p.xy);
+
+      float center = sin(r * 6.0 - uTime * 4.0) * exp(-r * 0.8);
+      float ring = sin((r - uSplashRadius) * 10.0 - uTime * 6.0) * exp(-abs(r - uSplashRadius) * 3.0);
+      p.z += (center + ring) * 0.03;
+
+      // 잔물결 기울기 - 조명 대신 밝기 변화에 사용
+      vSlope = cos(r * 6.0 - uTime * 4.0) * exp(-r * 0.8)
+        + cos((r - uSplashRadius) * 10.0 - uTime * 6.0) * exp(-abs(r - uSplashRadius) * 3.0);
+      vRadius = r;
+
+      vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+      gl_Position = projectionMatrix * mvPosition;
+      #include <fog_vertex>
+    }
+  `;
+
+  static WATER_FRAGMENT_SHADER = `
+    #include <fog_pars_fragment>
+    uniform vec3 uDeepColor;
+    uniform vec3 uLightColor;
+    uniform float uRadius;
+    uniform float uOpacity;
+    varying float vSlope;
+    varying float vRadius;
+
+    void main() {
+      float shade = clamp(0.5 + vSlope * 0.15, 0.0, 1.0);
+      vec3 color = mix(uDeepColor, uLightColor, shade);
+      // 가장자리는 조금 더 밝게
+      color = mix(color, uLightColor, smoothstep(uRadius * 0.8, uRadius, vRadius) * 0.4);
+      gl_FragColor = vec4(color, uOpacity);
+      #include <fog_fragment>
+    }
+  `;
+
+  constructor(options = {}) {
+    const {
+      posX = 0,
+      posZ = 0,
+      radius = 4,           // 수반 반지름
+      jets = 8,             // 물줄기 수
+      particlesPerJet = 60,
+      splashCount = 160,
+      density = 1,          // 파티클 수 배율 (품질 설정)
+      random = null
+    } = options;
+
+    this.radius = radius;
+    this.random = random || new SeededRandom(`fountain:${posX},${posZ}`);
+    this.time = 0;
+
+    this.mesh = new THREE.Group();
+    this.mesh.name = 'fountain';
+    this.mesh.position.set(posX, 0, posZ);
+
+    // 직접 만든 지오메트리/재질 (dispose에서 정리)
+    this.geometries = [];
+    this.materials = [];
+
+    // 물 높이와 물줄기 시작/낙하 지점
+    this.waterLevel = 0.55;
+    this.nozzleHeight = 2.4;
+    this.splashRadius = radius * 0.6;
+
+    this.createBasin();
+    this.createWater();
+
+    this.jets = this.createJets(jets, Math.max(1, Math.round(particlesPerJet * density)));
+    this.splashes = this.createSplashes(Math.max(1, Math.round(splashCount * density)));
+  }
+
+  track(geometry, material) {
+    this.geometries.push(geometry);
+    this.materials.push(material);
+  }
+
+  createBasin() {
+    const stoneMaterial = new THREE.MeshStandardMaterial({
+      color: 0xaaaaaa,
+      roughness: 0.7,
+      metalness: 0.3
+    });
+
+    // 수반, 가운데 기둥, 위쪽 작은 받침
+    const parts = [
+      { geometry: new THREE.CylinderGeometry(this.radius, this.radius + 0.5, 0.5, 32), y: 0.25 },
+      { geometry: new THREE.CylinderGeometry(0.5, 0.7, 1.5, 12), y: 1.25 },
+      { geometry: new THREE.CylinderGeometry(1, 1.2, 0.3, 12), y: 2.15 }
+    ];
+
+    parts.forEach(({ geometry, y }) => {
+      const part = new THREE.Mesh(geometry, stoneMaterial);
+      part.position.y = y;
+      part.castShadow = true;
+      part.receiveShadow = true;
+      this.mesh.add(part);
+      this.geometries.push(geometry);
+    });
+    this.materials.push(stoneMaterial);
+  }
+
+  createWater() {
+    // 잔물결을 표현할 만큼 버텍스가 필요하므로 반지름 방향으로도 나눔 (가운데는 기둥)
+    const geometry = new THREE.RingGeometry(0.6, this.radius - 0.3, 48, 24);
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+          uTime: { value: 0 },
+          uSplashRadius: { value: this.splashRadius },
+          uRadius: { value: this.radius - 0.3 },
+          uDeepColor: { value: new THREE.Color(0x4f7f9c) },
+          uLightColor: { value: new THREE.Color(0xb8d8e8) },
+          uOpacity: { value: 0.85 }
+        }
+      ]),
+      vertexShader: Fountain.WATER_VERTEX_SHADER,
+      fragmentShader: Fountain.WATER_FRAGMENT_SHADER,
+      transparent: true,
+      fog: true
+    });
+
+    this.water = new THREE.Mesh(geometry, material);
+    this.water.rotation.x = -Math.PI / 2;
+    this.water.position.y = this.waterLevel;
+    this.mesh.add(this.water);
+    this.track(geometry, material);
+  }
+
+  createParticles({ origins, velocities, lives, offsets, size, color, opacity }) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(origins, 3));
+    geometry.setAttribute('aVelocity', new THREE.BufferAttribute(velocities, 3));
+    geometry.setAttribute('aLife', new THREE.BufferAttribute(lives, 1));
+    geometry.setAttribute('aOffset', new THREE.BufferAttribute(offsets, 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uGravity: { value: Fountain.GRAVITY },
+        uSize: { value: size },
+        uColor: { value: new THREE.Color(color) },
+        uOpacity: { value: opacity }
+      },
+      vertexShader: Fountain.PARTICLE_VERTEX_SHADER,
+      fragmentShader: Fountain.PARTICLE_FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    // 궤적이 셰이더에서 정해지므로 시작점 경계로 컬링하지 않음
+    points.frustumCulled = false;
+    this.mesh.add(points);
+    this.track(geometry, material);
+
+    return points;
+  }
+
+  // 물줄기 - 노즐에서 바깥으로 솟아 splashRadius 근처 수면에 떨어지는 포물선
+  createJets(jetCount, perJet) {
+    const count = jetCount * perJet;
+    const origins = new Float32Array(count * 3);
+    const velocities = new Float32Array(count * 3);
+    const lives = new Float32Array(count);
+    const offsets = new Float32Array(count);
+
+    const gravity = -Fountain.GRAVITY;
+    const drop = this.nozzleHeight - this.waterLevel;
+
+    for (let i = 0; i < count; i++) {
+      const angle = (Math.floor(i / perJet) / jetCount) * Math.PI * 2 + this.random.range(-0.04, 0.04);
+      const speed = 3.2 * this.random.range(0.92, 1.08);
+
+      // 수면에 닿는 시간: nozzle + up·t - g·t²/2 = waterLevel
+      // 되감는 주기에 맞춘 수명으로 솟는 속도를 다시 구해 정확히 수면에 떨어지게 함
+      const life = this.fitLife((speed + Math.sqrt(speed * speed + 2 * gravity * drop)) / gravity);
+      const up = (gravity * life * life / 2 - drop) / life;
+      const outward = (this.splashRadius - 0.5) / life * this.random.range(0.9, 1.1);
+
+      origins[i * 3] = Math.cos(angle) * 0.5;
+      origins[i * 3 + 1] = this.nozzleHeight;
+      origins[i * 3 + 2] = Math.sin(angle) * 0.5;
+      velocities[i * 3] = Math.cos(angle) * outward;
+      velocities[i * 3 + 1] = up;
+      velocities[i * 3 + 2] = Math.sin(angle) * outward;
+      lives[i] = life;
+      offsets[i] = this.random.range(0, life);
+    }
+
+    return this.createParticles({
+      origins, velocities, lives, offsets,
+      size: 0.18,
+      color: 0xd8ecf5,
+      opacity: 0.8
+    });
+  }
+
+  // 물방울 - 물줄기가 떨어지는 원 위에서 짧게 튀어 오름
+  createSplashes(count) {
+    const origins = new Float32Array(count * 3);
+    const velocities = new Float32Array(count * 3);
+    const lives = new Float32Array(count);
+    const offsets = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      const angle = this.random.range(0, Math.PI * 2);
+      const radius = this.splashRadius + this.random.range(-0.4, 0.4);
+      const spread = this.random.range(0, Math.PI * 2);
+      const speed = this.random.range(0.3, 1);
+      // 다시 수면에 닿을 때까지 (되감는 주기에 맞춘 수명에서 솟는 속도 계산)
+      const life = this.fitLife(2 * this.random.range(1, 2.2) / -Fountain.GRAVITY);
+      const up = life * -Fountain.GRAVITY / 2;
+
+      origins[i * 3] = Math.cos(angle) * radius;
+      origins[i * 3 + 1] = this.waterLevel;
+      origins[i * 3 + 2] = Math.sin(angle) * radius;
+      velocities[i * 3] = Math.cos(spread) * speed;
+      velocities[i * 3 + 1] = up;
+      velocities[i * 3 + 2] = Math.sin(spread) * speed;
+      lives[i] = life;
+      offsets[i] = this.random.range(0, life);
+    }
+
+    return this.createParticles({
+      origins, velocities, lives, offsets,
+      size: 0.1,
+      color: 0xffffff,
+      opacity: 0.6
+    });
+  }
+
+  // LOOP을 정수 번으로 나누는 가장 가까운 수명
+  fitLife(life) {
+    return Fountain.LOOP / Math.max(1, Math.round(Fountain.LOOP / life));
+  }
+
+  update(delta) {
+    this.time = (this.time + delta) % Fountain.LOOP;
+
+    this.jets.material.uniforms.uTime.value = this.time;
+    this.splashes.material.uniforms.uTime.value = this.time;
+    this.water.material.uniforms.uTime.value = this.time;
+  }
+
+  dispose() {
+    if (this.mesh.parent) this.mesh.parent.remove(this.mesh);
+
+    this.geometries.forEach(geometry => geometry.dispose());
+    this.materials.forEach(material => material.dispose());
+
+    this.geometries = [];
+    this.materials = [];
+  }
+}
@@ -0,0 +1,240 @@
+// GuidedTour.js
+import * as THREE from 'three';
+
+// 가이드 투어 - 스플라인 경로를 따라 포트폴리오 건물을 순서대로 방문하며 정보 패널 표시
+export class GuidedTour {
+  constructor(camera, infoPanel, options = {}) {
+    const {
+      dwellTime = 8,        // 각 정류장에서 머무는 시간 (초) - 이후 자동 진행
+      flightDuration = 3,   // 정류장 사이 비행 시간 (초)
+      onEnd = null          // (completed) => {} 투어 종료 시 호출
+    } = options;
+
+    this.camera = camera;
+    this.infoPanel = infoPanel;
+    this.dwellTime = dwellTime;
+    this.flightDuration = flightDuration;
+    this.onEnd = onEnd;
+
+    this.active = false;
+    this.stops = [];
+    this.curve = null;
+
+    // 현재 위치 - 곡선 위 정류장 인덱스 (0은 투어 시작 시 카메라 위치)
+    // progress는 비행 중 정류장 사이의 연속값
+    this.currentIndex = 0;
+    this.progress = 0;
+    this.flight = null;
+    this.dwellRemaining = 0;
+
+    // 재사용 벡터
+    this.lookTarget = new THREE.Vector3();
+
+    // 바인딩
+    this.next = this.next.bind(this);
+    this.previous = this.previous.bind(this);
+    this.skip = this.skip.bind(this);
+    this.onControlsClick = this.onControlsClick.bind(this);
+
+    this.createControls();
+  }
+
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.className = 'tour-controls hidden';
+    this.controls.innerHTML = `
+      <div class="tour-progress">
+        <span class="tour-step"></span>
+        <div class="tour-timer"><div class="tour-timer-bar"></div></div>
+      </div>
+      <div class="tour-buttons">
+        <button class="tour-prev">Previous</button>
+        <button class="tour-next">Next</button>
+        <button class="tour-skip">Skip tour</button>
+      </div>
+    `;
+    document.body.appendChild(this.controls);
+
+    this.stepLabel = this.controls.querySelector('.tour-step');
+    this.timerBar = this.controls.querySelector('.tour-timer-bar');
+    this.prevBtn = this.controls.querySelector('.tour-prev');
+    this.nextBtn = this.controls.querySelector('.tour-next');
+    this.skipBtn = this.controls.querySelector('.tour-skip');
+
+    // 컨트롤 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+    this.controls.addEventListener('click', this.onControlsClick);
+    this.prevBtn.addEventListener('click', this.previous);
+    this.nextBtn.addEventListener('click', this.next);
+    this.skipBtn.addEventListener('click', this.skip);
+  }
+
+  onControlsClick(event) {
+    event.stopPropagation();
+  }
+
+  // 건물을 바라보는 카메라 정류장 계산 - 광장 쪽에서 건물을 바라봄
+  createStop(building) {
+    const center = building.mesh.position;
+    const direction = new THREE.Vector3(-center.x, 0, -center.z);
+    if (direction.lengthSq() < 0.001) direction.set(0, 0, 1); // 광장 중앙 건물은 정면
+    direction.normalize();
+
+    const distance = Math.max(building.width, building.depth) + 14;
+    const position = new THREE.Vector3(
+      center.x + direction.x * distance,
+      building.height * 0.6 + 4,
+      center.z + direction.z * distance
+    );
+    const target = new THREE.Vector3(center.x, building.height * 0.5, center.z);
+
+    return { building, position, target };
+  }
+
+  // buildings: 방문 순서대로 정렬된 Building 배열
+  start(buildings, fromTarget) {
+    if (buildings.length === 0) return;
+
+    this.stops = [
+      // 시작점 - 현재 카메라 위치
+      { building: null, position: this.camera.position.clone(), target: fromTarget.clone() },
+      ...buildings.map(building => this.createStop(building))
+    ];
+
+    // 모든 정류장을 지나는 스플라인 - 정류장 i는 t = i / (n - 1)에 위치
+    this.curve = new THREE.CatmullRomCurve3(this.stops.map(stop => stop.position), false, 'centripetal');
+
+    this.active = true;
+    this.currentIndex = 0;
+    this.progress = 0;
+    this.lookTarget.copy(fromTarget);
+    this.controls.classList.remove('hidden');
+    this.goTo(1);
+  }
+
+  goTo(index) {
+    if (!this.active || index < 1 || index >= this.stops.length) return;
+
+    // 비행 중에 다시 호출되면 현재 곡선 위치에서 출발
+    this.flight = {
+      from: this.progress,
+      to: index,
+      elapsed: 0,
+      fromTarget: this.lookTarget.clone()
+    };
+
+    // 이동 중에는 패널 닫기
+    this.infoPanel.hideBuildingInfo();
+    this.updateControls();
+  }
+
+  next() {
+    if (!this.active) return;
+
+    const target = (this.flight ? this.flight.to : this.currentIndex) + 1;
+    if (target >= this.stops.length) {
+      // 마지막 정류장 이후 - 투어 완료
+      this.stop(true);
+      return;
+    }
+    this.goTo(target);
+  }
+
+  previous() {
+    if (!this.active) return;
+
+    const target = (this.flight ? this.flight.to : this.currentIndex) - 1;
+    this.goTo(target);
+  }
+
+  skip() {
+    this.stop(false);
+  }
+
+  arrive(index) {
+    this.currentIndex = index;
+    this.progress = index;
+    this.flight = null;
+    this.dwellRemaining = this.dwellTime;
+
+    const stop = this.stops[index];
+    if (stop.building) {
+      this.infoPanel.showBuildingInfo(stop.building);
+    }
+    this.updateControls();
+  }
+
+  updateControls() {
+    const index = this.flight ? this.flight.to : this.currentIndex;
+    this.stepLabel.textContent = `${index} / ${this.stops.length - 1}`;
+    this.prevBtn.disabled = index <= 1;
+    this.nextBtn.textContent = index >= this.stops.length - 1 ? 'Finish' : 'Next';
+  }
+
+  // completed: 마지막 정류장까지 마쳤는지 여부
+  stop(completed = false) {
+    if (!this.active) return;
+
+    this.active = false;
+    this.flight = null;
+    this.controls.classList.add('hidden');
+
+    if (!completed) {
+      this.infoPanel.hideBuildingInfo();
+    }
+
+    if (this.onEnd) this.onEnd(completed);
+  }
+
+  // 현재 카메라 시선 (투어 종료 후 복귀 비행의 시작점)
+  getLookTarget() {
+    return this.lookTarget;
+  }
+
+  update(delta) {
+    if (!this.active) return;
+
+    if (this.flight) {
+      const flight = this.flight;
+      flight.elapsed += delta;
+
+      // 떨어진 거리(정류장 수)에 비례한 비행 시간
+      const duration = this.flightDuration * Math.max(Math.abs(flight.to - flight.from), 0.3);
+      const t = Math.min(flight.elapsed / duration, 1);
+      const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2; // easeInOutQuad
+
+      // 곡선 매개변수 - 정류장 i는 i / (n - 1)
+      this.progress = THREE.MathUtils.lerp(flight.from, flight.to, eased);
+      this.curve.getPoint(this.progress / (this.stops.length - 1), this.camera.position);
+
+      this.lookTarget.lerpVectors(flight.fromTarget, this.stops[flight.to].target, eased);
+      this.camera.lookAt(this.lookTarget);
+
+      if (t >= 1) this.arrive(flight.to);
+      return;
+    }
+
+    // 정류장에 머무는 중 - 자동 진행 타이머
+    this.camera.lookAt(this.lookTarget);
+    this.dwellRemaining -= delta;
+    this.timerBar.style.width = `${Math.max(0, this.dwellRemaining / this.dwellTime) * 100}%`;
+
+    if (this.dwellRemaining <= 0) {
+      this.next();
+    }
+  }
+
+  dispose() {
+    if (this.controls) {
+      this.controls.removeEventListener('click', this.onControlsClick);
+      this.prevBtn.removeEventListener('click', this.previous);
+      this.nextBtn.removeEventListener('click', this.next);
+      this.skipBtn.removeEventListener('click', this.skip);
+      if (this.controls.parentNode) this.controls.parentNode.removeChild(this.controls);
+    }
+
+    this.controls = null;
+    this.stops = [];
+    this.curve = null;
+    this.onEnd = null;
+  }
+}
@@ -0,0 +1,107 @@
+// HashRouter.js
+import * as THREE from 'three';
+
+// 해시 기반 라우팅 - 건물/카메라 위치를 URL로 공유하고 브라우저 뒤로/앞으로 이동 지원
+//   #/building/aws                     건물 정보
+//   #/view?pos=x,y,z&target=x,y,z      전경 카메라 위치
+//   #/ 또는 해시 없음                    기본 화면
+export class HashRouter {
+  static HOME = 'home';
+  static BUILDING = 'building';
+  static VIEW = 'view';
+
+  constructor(onRoute) {
+    this.onRoute = onRoute; // (route) => {}
+
+    // 마지막으로 처리한 해시 - pushState로 바꾼 해시는 다시 처리하지 않음
+    this.currentHash = window.location.hash;
+
+    // 바인딩
+    this.onHistoryChange = this.onHistoryChange.bind(this);
+
+    // 뒤로/앞으로 이동(popstate)과 주소창 직접 수정(hashchange) 모두 처리
+    window.addEventListener('popstate', this.onHistoryChange);
+    window.addEventListener('hashchange', this.onHistoryChange);
+  }
+
+  static buildingPath(id) {
+    return `/building/${encodeURIComponent(id)}`;
+  }
+
+  static viewPath(position, target) {
+    const format = (vector) => vector.toArray().map(value => value.toFixed(1)).join(',');
+    return `/view?pos=${format(position)}&target=${format(target)}`;
+  }
+
+  // 'x,y,z' 문자열을 Vector3로 변환 (형식이 틀리면 null)
+  static parseVector(value) {
+    if (!value) return null;
+
+    const parts = value.split(',').map(Number);
+    if (parts.length !== 3 || parts.some(part => !Number.isFinite(part))) return null;
+
+    return new THREE.Vector3().fromArray(parts);
+  }
+
+  static parse(hash) {
+    const path = hash.replace(/^#/, '');
+    const [pathname, query = ''] = path.split('?');
+    const segments = pathname.split('/').filter(Boolean);
+
+    if (segments[0] === 'building' && segments[1]) {
+      return { name: HashRouter.BUILDING, id: decodeURIComponent(segments[1]) };
+    }
+
+    if (segments[0] === 'view') {
+      const params = new URLSearchParams(query);
+      const position = HashRouter.parseVector(params.get('pos'));
+      const target = HashRouter.parseVector(params.get('target'));
+      if (position && target) {
+        return { name: HashRouter.VIEW, position, target };
+      }
+    }
+
+    return { name: HashRouter.HOME };
+  }
+
+  // 현재 URL의 경로를 처리 (초기 로드)
+  start() {
+    this.currentHash = window.location.hash;
+    if (this.onRoute) this.onRoute(HashRouter.parse(this.currentHash));
+  }
+
+  // 새 히스토리 항목 추가 - onRoute는 호출하지 않음
+  navigate(path) {
+    const hash = `#${path}`;
+    if (hash === this.currentHash) return;
+
+    // 해시 없는 첫 화면에서 기본 화면으로 가는 경우는 히스토리 추가 안 함
+    if (!this.currentHash && path === '/') return;
+
+    window.history.pushState(null, '', hash);
+    this.currentHash = hash;
+  }
+
+  // 현재 히스토리 항목의 주소만 교체 (전경 카메라 이동처럼 잦은 변경)
+  replace(path) {
+    const hash = `#${path}`;
+    if (hash === this.currentHash) return;
+
+    window.history.replaceState(null, '', hash);
+    this.currentHash = hash;
+  }
+
+  onHistoryChange() {
+    const hash = window.location.hash;
+    if (hash === this.currentHash) return;
+
+    this.currentHash = hash;
+    if (this.onRoute) this.onRoute(HashRouter.parse(hash));
+  }
+
+  dispose() {
+    window.removeEventListener('popstate', this.onHistoryChange);
+    window.removeEventListener('hashchange', this.onHistoryChange);
+    this.onRoute = null;
+  }
+}
@@ -0,0 +1,169 @@
+// HoverInteraction.js
+import * as THREE from 'three';
+
+// 마우스 오버 피드백 - 건물 위에서 툴팁(제목, 분류), 포인터 커서, 은은한 강조 표시
+// pointermove 레이캐스팅은 일정 간격으로 제한하고, 카메라를 드래그하는 동안에는 무시
+// 커서가 멈춰 있어도 카메라가 움직이면 (걷기, 투어, 모드 전환) update()에서 다시 검사
+export class HoverInteraction {
+  constructor(camera, element, options = {}) {
+    const {
+      pick = () => null, // (raycaster) => 광선에 처음 맞는 건물 (공간 색인 검사)
+      interval = 60      // 레이캐스팅 최소 간격 (ms)
+    } = options;
+
+    this.camera = camera;
+    this.element = element;
+    this.pick = pick;
+    this.interval = interval;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.clientX = 0;
+    this.clientY = 0;
+
+    this.hoveredBuilding = null;
+    this.lastRaycast = 0;
+    this.pendingTimer = null;
+
+    // 커서가 캔버스 위에 있는지, 마우스 오버를 받을 수 있는 상태인지 (투어/모드 전환 중에는 꺼짐)
+    this.pointerInside = false;
+    this.active = true;
+    // 마지막으로 검사한 카메라 행렬
+    this.lastCameraMatrix = new THREE.Matrix4();
+
+    // 바인딩
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerLeave = this.onPointerLeave.bind(this);
+    this.raycast = this.raycast.bind(this);
+
+    this.createTooltip();
+
+    element.addEventListener('pointermove', this.onPointerMove);
+    element.addEventListener('pointerleave', this.onPointerLeave);
+  }
+
+  createTooltip() {
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'building-tooltip';
+    this.tooltip.innerHTML = `
+      <div class="building-tooltip-title"></div>
+      <div class="building-tooltip-category"></div>
+    `;
+    document.body.appendChild(this.tooltip);
+
+    this.tooltipTitle = this.tooltip.querySelector('.building-tooltip-title');
+    this.tooltipCategory = this.tooltip.querySelector('.building-tooltip-category');
+  }
+
+  onPointerMove(event) {
+    // 터치는 마우스 오버가 없고, 버튼을 누른 채 움직이거나 포인터가 잠겨 있으면 카메라 조작
+    if (event.pointerType === 'touch' || event.buttons !== 0 || document.pointerLockElement) {
+      this.pointerInside = false;
+      this.setHovered(null);
+      return;
+    }
+
+    this.clientX = event.clientX;
+    this.clientY = event.clientY;
+    this.pointerInside = true;
+    if (!this.active) return;
+
+    // 툴팁은 매번 커서를 따라가고, 레이캐스팅만 간격 제한
+    this.positionTooltip();
+
+    const elapsed = performance.now() - this.lastRaycast;
+    if (elapsed >= this.interval) {
+      this.raycast();
+    } else if (!this.pendingTimer) {
+      // 마지막 위치도 놓치지 않도록 남은 시간 뒤 한 번 더 검사
+      this.pendingTimer = setTimeout(this.raycast, this.interval - elapsed);
+    }
+  }
+
+  onPointerLeave() {
+    this.pointerInside = false;
+    this.setHovered(null);
+  }
+
+  // 매 프레임 호출 - active가 false면 (투어, 모드 전환 비행) 마우스 오버 해제
+  // 카메라가 움직였으면 멈춘 커서 아래의 건물을 간격 제한에 맞춰 다시 검사
+  update(active = true) {
+    this.active = active;
+    if (!active || !this.pointerInside || document.pointerLockElement) {
+      this.setHovered(null);
+      return;
+    }
+
+    this.camera.updateMatrixWorld();
+    if (this.camera.matrixWorld.equals(this.lastCameraMatrix)) return;
+    if (performance.now() - this.lastRaycast < this.interval) return;
+
+    this.raycast();
+  }
+
+  raycast() {
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+    if (!this.active) return;
+    this.lastRaycast = performance.now();
+    this.lastCameraMatrix.copy(this.camera.matrixWorld);
+
+    const rect = this.element.getBoundingClientRect();
+    this.pointer.x = ((this.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((this.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    this.setHovered(this.pick(this.raycaster));
+  }
+
+  setHovered(building) {
+    if (building === this.hoveredBuilding) return;
+
+    if (this.hoveredBuilding) this.hoveredBuilding.unhighlight('hover');
+    this.hoveredBuilding = building;
+
+    if (building) {
+      building.highlight('hover');
+      this.tooltipTitle.textContent = building.info.title || '';
+      this.tooltipCategory.textContent = building.info.category || '';
+      this.tooltipCategory.style.display = building.info.category ? '' : 'none';
+      this.positionTooltip();
+      this.tooltip.classList.add('visible');
+      this.element.style.cursor = 'pointer';
+    } else {
+      this.tooltip.classList.remove('visible');
+      this.element.style.cursor = '';
+    }
+  }
+
+  // 커서 오른쪽 아래에 표시 - 화면 밖으로 나가지 않도록 반대쪽으로 뒤집음
+  positionTooltip() {
+    if (!this.hoveredBuilding) return;
+
+    const offset = 14;
+    const width = this.tooltip.offsetWidth;
+    const height = this.tooltip.offsetHeight;
+
+    let x = this.clientX + offset;
+    let y = this.clientY + offset;
+    if (x + width > window.innerWidth) x = this.clientX - offset - width;
+    if (y + height > window.innerHeight) y = this.clientY - offset - height;
+
+    this.tooltip.style.transform = `translate(${x}px, ${y}px)`;
+  }
+
+  dispose() {
+    clearTimeout(this.pendingTimer);
+    this.setHovered(null);
+
+    this.element.removeEventListener('pointermove', this.onPointerMove);
+    this.element.removeEventListener('pointerleave', this.onPointerLeave);
+
+    if (this.tooltip && this.tooltip.parentNode) {
+      this.tooltip.parentNode.removeChild(this.tooltip);
+    }
+
+    this.tooltip = null;
+    this.pick = null;
+  }
+}
@@ -1,6 +1,19 @@
 // InfoPanel.js
 export class InfoPanel {
-  constructor() {
+  constructor(content) {
+    // 포트폴리오 콘텐츠 (상세 정보 기본값 제공)
+    this.content = content;
+
+    // 투어 시작 콜백 (Start Exploring 버튼)
+    this.onStartTour = null;
+
+    // 선택 건물 변경 콜백 - (building | null) => {} URL 히스토리 갱신에 사용
+    this.onSelectionChange = null;
+
+    // 패널 열림/닫힘 콜백 - UI 효과음에 사용
+    this.onOpen = null;
+    this.onClose = null;
+
     // 바인딩
     this.showBuildingInfo = this.showBuildingInfo.bind(this);
     this.hideBuildingInfo = this.hideBuildingInfo.bind(this);
@@ -32,11 +45,13 @@ export class InfoPanel {
 
     // Start button event listener - 메모리 누수 방지를 위해 참조 저장
     const startBtn = document.getElementById('start-tour');
-    this.startBtnHandler = () => {
-      welcomePanel.classList.add('fade-out');
-      setTimeout(() => {
-        welcomePanel.style.display = 'none';
-      }, 500);
+    this.startBtnHandler = (event) => {
+      // 버튼 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+      event.stopPropagation();
+
+      this.hideWelcomePanel();
+
+      if (this.onStartTour) this.onStartTour();
     };
     startBtn.addEventListener('click', this.startBtnHandler);
 
@@ -44,6 +59,17 @@ export class InfoPanel {
     this.welcomePanel = welcomePanel;
   }
 
+  // 환영 패널 숨기기 (딥 링크로 바로 건물을 여는 경우에도 사용)
+  hideWelcomePanel() {
+    if (!this.welcomePanel) return;
+
+    const welcomePanel = this.welcomePanel;
+    welcomePanel.classList.add('fade-out');
+    setTimeout(() => {
+      welcomePanel.style.display = 'none';
+    }, 500);
+  }
+
   createBuildingInfoPanel() {
     // Create building info panel (now on the left side)
     this.buildingInfo = document.createElement('div');
@@ -64,8 +90,9 @@ export class InfoPanel {
   }
 
   showBuildingInfo(building) {
-    if (this.selectedBuilding) {
-      this.selectedBuilding.unhighlight();
+    const previousBuilding = this.selectedBuilding;
+    if (previousBuilding) {
+      previousBuilding.unhighlight();
     }
 
     this.selectedBuilding = building;
@@ -86,7 +113,7 @@ export class InfoPanel {
       this.buildingContent.innerHTML = this.contentCache[cacheKey];
     } else {
       // 확장된 설명 가져오기
-      const extendedDescription = this.getExtendedDescription(info.title);
+      const extendedDescription = this.getExtendedDescription(info);
 
       // HTML 생성
       const content = `
@@ -137,12 +164,20 @@ export class InfoPanel {
 
     this.buildingInfo.style.opacity = "1";
     this.buildingInfo.style.transform = "translateX(0)";
+
+    if (building !== previousBuilding) {
+      if (this.onOpen) this.onOpen(building);
+      if (this.onSelectionChange) this.onSelectionChange(building);
+    }
   }
 
   hideBuildingInfo() {
     if (this.selectedBuilding) {
       this.selectedBuilding.unhighlight();
       this.selectedBuilding = null;
+
+      if (this.onClose) this.onClose();
+      if (this.onSelectionChange) this.onSelectionChange(null);
     }
 
     this.buildingInfo.style.opacity = "0";
@@ -154,128 +189,14 @@ export class InfoPanel {
     }, 300);
   }
 
-  // 확장된 설명 생성 - 변경 없음
-  getExtendedDescription(title) {
-    // Default content
-    let experience = "Over 7 years of experience in cloud architecture and infrastructure design.";
-    let projects = [];
-    let skills = ["Cloud Architecture", "Infrastructure as Code", "Containerization", "High Availability", "Disaster Recovery"];
-
-    // 기존 로직 유지
-    if (title.includes("AWS")) {
-      experience = "8+ years of experience with AWS cloud infrastructure, specializing in scalable architectures and cost optimization strategies.";
-      projects = [
-        {
-          title: "E-commerce Platform Migration",
-          description: "Led migration of a high-traffic e-commerce platform to AWS, resulting in 40% cost reduction and 99.99% uptime."
-        },
-        {
-          title: "Serverless Data Processing Pipeline",
-          description: "Designed and implemented a serverless pipeline using Lambda, S3, and DynamoDB for real-time analytics processing."
-        },
-        {
-          title: "Multi-Region Disaster Recovery Solution",
-          description: "Implemented cross-region DR strategy using Route53, S3 replication, and automated failover mechanisms."
-        }
-      ];
-      skills = ["EC2", "S3", "Lambda", "EKS", "CloudFormation", "DynamoDB", "VPC", "IAM", "RDS", "CloudFront"];
-    }
-    else if (title.includes("Kubernetes")) {
-      experience = "6+ years of experience with Kubernetes orchestration, focusing on microservices architecture and CI/CD pipeline integration.";
-      projects = [
-        {
-          title: "Microservices Platform Modernization",
-          description: "Transformed monolithic application into 30+ microservices running on Kubernetes, improving deployment frequency from monthly to daily."
-        },
-        {
-          title: "Multi-Cluster Federation Implementation",
-          description: "Designed and deployed a federated Kubernetes environment spanning multiple cloud providers for redundancy and geographic distribution."
-        },
-        {
-          title: "GitOps Workflow Implementation",
-          description: "Established GitOps practices using ArgoCD and Flux, enabling declarative configuration and automated deployments."
-        }
-      ];
-      skills = ["Kubernetes", "Docker", "Helm", "Istio", "Prometheus", "Grafana", "GitOps", "Service Mesh", "StatefulSets", "CRDs"];
-    }
-    else if (title.includes("NAVER")) {
-      experience = "5+ years of experience with NAVER Cloud Platform, providing Korean-market focused cloud solutions with local regulatory compliance.";
-      projects = [
-        {
-          title: "Financial Services Migration",
-          description: "Migrated banking applications to NAVER Cloud while maintaining strict Korean financial regulatory compliance."
-        },
-        {
-          title: "AI/ML Research Platform",
-          description: "Built a research computing platform leveraging NAVER's AI and ML services for academic institutions."
-        },
-        {
-          title: "Hybrid Cloud Architecture",
-          description: "Designed hybrid infrastructure connecting on-premises systems with NAVER Cloud for a large Korean manufacturer."
-        }
-      ];
-      skills = ["NAVER Cloud", "Object Storage", "VPC", "Load Balancer", "Cloud Functions", "Auto Scaling", "CDN", "Database", "Kubernetes Service"];
-    }
-    else if (title.includes("KT")) {
-      experience = "4+ years specializing in KT Cloud solutions for enterprise and government sectors, with focus on secure and compliant architectures.";
-      projects = [
-        {
-          title: "Government Agency Cloud Transformation",
-          description: "Led migration of sensitive workloads to KT Cloud with enhanced security controls and compliance monitoring."
-        },
-        {
-          title: "National Healthcare System Infrastructure",
-          description: "Architected scalable, compliant infrastructure on KT Cloud for patient data management systems."
-        },
-        {
-          title: "Telecommunications Data Platform",
-          description: "Designed high-throughput data processing system for a major telecommunications provider using KT's dedicated solutions."
-        }
-      ];
-      skills = ["KT Cloud", "IaaS", "PaaS", "Security Services", "VDI", "Dedicated Servers", "Bare Metal", "Storage Solutions", "Network Management"];
-    }
-    else if (title.includes("NHN")) {
-      experience = "3+ years working with NHN Cloud infrastructure, specializing in gaming and high-traffic web application architectures.";
-      projects = [
-        {
-          title: "Game Server Deployment Framework",
-          description: "Created auto-scaling infrastructure for mobile game back-end servers supporting 500,000+ concurrent users."
-        },
-        {
-          title: "Real-time Analytics Platform",
-          description: "Implemented streaming data analytics solution for user behavior tracking and business intelligence."
-        },
-        {
-          title: "CDN Optimization Project",
-          description: "Redesigned content delivery architecture resulting in 65% latency reduction and improved user experience."
-        }
-      ];
-      skills = ["NHN Cloud", "Compute", "Object Storage", "Load Balancing", "CDN", "Auto Scaling", "Database", "Monitoring", "Security"];
-    }
-    else {
-      // Main building or default
-      experience = "10+ years of experience in multi-cloud architecture design, implementation, and optimization across major public and private cloud platforms.";
-      projects = [
-        {
-          title: "Enterprise Multi-Cloud Strategy",
-          description: "Developed cloud adoption roadmap and reference architecture for Fortune 500 company spanning AWS, NAVER Cloud, and on-premises infrastructure."
-        },
-        {
-          title: "Cloud Center of Excellence",
-          description: "Established cloud governance framework and best practices for international organization with 5,000+ employees."
-        },
-        {
-          title: "Cloud Cost Optimization Initiative",
-          description: "Led initiative that reduced cloud spending by 35% while improving performance through architecture refinement and resource optimization."
-        }
-      ];
-      skills = ["Multi-cloud Architecture", "AWS", "NAVER Cloud", "KT Cloud", "NHN Cloud", "Kubernetes", "Terraform", "Ansible", "CI/CD", "Site Reliability Engineering"];
-    }
+  // 확장된 설명 - 콘텐츠 파일의 건물 정보, 없으면 기본값 사용
+  getExtendedDescription(info) {
+    const defaults = this.content ? this.content.defaults : {};
 
     return {
-      experience,
-      projects,
-      skills
+      experience: info.experience || defaults.experience || '',
+      projects: info.projects || defaults.projects || [],
+      skills: info.skills || defaults.skills || []
     };
   }
 
@@ -311,5 +232,10 @@ export class InfoPanel {
     this.buildingContent = null;
     this.selectedBuilding = null;
     this.contentCache = null;
+    this.content = null;
+    this.onStartTour = null;
+    this.onSelectionChange = null;
+    this.onOpen = null;
+    this.onClose = null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,308 @@
+// InputManager.js
+import * as THREE from 'three';
+
+// 통합 입력 - 키보드, 마우스, 모바일 조이스틱, 게임패드를 하나의 이동/시점 입력으로 합침
+// Character.update()는 매 프레임 move, runIntensity, consumeLook(), consumeZoom(), consumeJump()만 읽음
+export class InputManager {
+  // 아날로그 입력 세기가 이 값 이상이면 달리기로 전환 (조이스틱)
+  static RUN_THRESHOLD = 0.75;
+  // 게임패드 스틱 데드존
+  static DEADZONE = 0.15;
+  // 오른쪽 스틱 시점 회전 속도 (라디안/초)
+  static LOOK_SPEED = 2.5;
+
+  constructor() {
+    // 키보드 상태
+    this.keys = {
+      forward: false,
+      backward: false,
+      left: false,
+      right: false,
+      run: false
+    };
+
+    // 모바일 조이스틱 입력 - x: 오른쪽 +, y: 뒤쪽 +
+    this.analog = new THREE.Vector2();
+
+    // 게임패드 상태
+    this.gamepadIndex = null;
+    this.gamepadMove = new THREE.Vector2();
+    this.gamepadRun = 0;
+    this.gamepadInteractPressed = false;
+    this.gamepadJumpPressed = false;
+
+    // 점프 요청 - Character가 consumeJump()로 가져감
+    this.jumpRequested = false;
+
+    // 합쳐진 출력 - move 길이 0~1, runIntensity 0~1
+    this.move = new THREE.Vector2();
+    this.runIntensity = 0;
+
+    // 누적된 시점 회전 (yaw, pitch 라디안)
+    this.look = new THREE.Vector2();
+    // 카메라 거리 누적 (마우스 휠, 양수면 멀어짐)
+    this.zoom = 0;
+
+    // 콜백
+    this.onInteract = null;
+    this.onToggleMode = null;          // 걷기/전경 모드 전환 (V 키)
+    this.onGamepadConnected = null;    // (gamepad) => {}
+    this.onGamepadDisconnected = null; // (gamepad) => {}
+
+    // 바인딩
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
+    this.handleGamepadDisconnected = this.handleGamepadDisconnected.bind(this);
+
+    document.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+    window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+  }
+
+  onKeyDown(event) {
+    // 입력란(시간/음량 슬라이더 등)에 포커스가 있으면 키를 그 입력란에 맡김
+    // keyup은 막지 않으므로 누르고 있던 키는 그대로 풀림
+    if (this.isFormField(event.target)) return;
+
+    switch (event.code) {
+      case 'KeyW':
+      case 'ArrowUp':
+        this.keys.forward = true;
+        break;
+
+      case 'KeyS':
+      case 'ArrowDown':
+        this.keys.backward = true;
+        break;
+
+      case 'KeyA':
+      case 'ArrowLeft':
+        this.keys.left = true;
+        break;
+
+      case 'KeyD':
+      case 'ArrowRight':
+        this.keys.right = true;
+        break;
+
+      case 'ShiftLeft':
+        this.keys.run = true;
+        break;
+
+      case 'KeyE':
+        // 가까운 건물과 상호작용
+        if (!event.repeat) this.interact();
+        break;
+
+      case 'KeyV':
+        // 탐색 모드 전환
+        if (!event.repeat && this.onToggleMode) this.onToggleMode();
+        break;
+
+      case 'Space':
+        // 포커스가 남은 버튼(모드 전환, 투어, 음소거)이 점프 때마다 눌리지 않도록 막음
+        event.preventDefault();
+        if (!event.repeat) this.jump();
+        break;
+    }
+  }
+
+  // 키 입력을 그대로 받아야 하는 입력란
+  isFormField(target) {
+    return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
+
+  onKeyUp(event) {
+    switch (event.code) {
+      case 'KeyW':
+      case 'ArrowUp':
+        this.keys.forward = false;
+        break;
+
+      case 'KeyS':
+      case 'ArrowDown':
+        this.keys.backward = false;
+        break;
+
+      case 'KeyA':
+      case 'ArrowLeft':
+        this.keys.left = false;
+        break;
+
+      case 'KeyD':
+      case 'ArrowRight':
+        this.keys.right = false;
+        break;
+
+      case 'ShiftLeft':
+        this.keys.run = false;
+        break;
+
+      case 'Space':
+        // 버튼은 keyup에서 클릭되므로 여기서도 막음
+        if (!this.isFormField(event.target)) event.preventDefault();
+        break;
+    }
+  }
+
+  handleGamepadConnected(event) {
+    // 첫 번째로 연결된 게임패드만 사용
+    if (this.gamepadIndex === null) {
+      this.gamepadIndex = event.gamepad.index;
+    }
+    if (this.onGamepadConnected) this.onGamepadConnected(event.gamepad);
+  }
+
+  handleGamepadDisconnected(event) {
+    if (event.gamepad.index === this.gamepadIndex) {
+      this.gamepadIndex = null;
+      this.gamepadMove.set(0, 0);
+      this.gamepadRun = 0;
+      this.gamepadInteractPressed = false;
+      this.gamepadJumpPressed = false;
+    }
+    if (this.onGamepadDisconnected) this.onGamepadDisconnected(event.gamepad);
+  }
+
+  // 모바일 조이스틱 입력
+  setAnalogMove(x, y) {
+    this.analog.set(x, y);
+    if (this.analog.lengthSq() > 1) this.analog.normalize();
+  }
+
+  // 시점 회전 누적 (마우스/터치 드래그, 게임패드 오른쪽 스틱)
+  addLook(deltaYaw, deltaPitch) {
+    this.look.x += deltaYaw;
+    this.look.y += deltaPitch;
+  }
+
+  // 누적된 시점 회전을 가져오고 초기화
+  consumeLook() {
+    const look = { yaw: this.look.x, pitch: this.look.y };
+    this.look.set(0, 0);
+    return look;
+  }
+
+  addZoom(amount) {
+    this.zoom += amount;
+  }
+
+  // 누적된 카메라 거리 입력을 가져오고 초기화
+  consumeZoom() {
+    const zoom = this.zoom;
+    this.zoom = 0;
+    return zoom;
+  }
+
+  interact() {
+    if (this.onInteract) this.onInteract();
+  }
+
+  jump() {
+    this.jumpRequested = true;
+  }
+
+  // 점프 요청을 가져오고 초기화
+  consumeJump() {
+    const requested = this.jumpRequested;
+    this.jumpRequested = false;
+    return requested;
+  }
+
+  // 이동 입력이 있는지 (투어 취소 등에 사용)
+  hasMovementInput() {
+    return this.move.lengthSq() > 0;
+  }
+
+  // 데드존 적용 후 0~1로 재조정
+  applyDeadzone(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude < InputManager.DEADZONE) return 0;
+    return Math.sign(value) * (magnitude - InputManager.DEADZONE) / (1 - InputManager.DEADZONE);
+  }
+
+  pollGamepad(delta) {
+    if (this.gamepadIndex === null || !navigator.getGamepads) return;
+
+    const gamepad = navigator.getGamepads()[this.gamepadIndex];
+    if (!gamepad) return;
+
+    const { axes, buttons } = gamepad;
+
+    // 왼쪽 스틱 - 이동 (기울기에 비례한 속도)
+    this.gamepadMove.set(this.applyDeadzone(axes[0] || 0), this.applyDeadzone(axes[1] || 0));
+    if (this.gamepadMove.lengthSq() > 1) this.gamepadMove.normalize();
+
+    // 오른쪽 스틱 - 카메라 회전
+    const lookX = this.applyDeadzone(axes[2] || 0);
+    const lookY = this.applyDeadzone(axes[3] || 0);
+    if (lookX || lookY) {
+      this.addLook(-lookX * InputManager.LOOK_SPEED * delta, lookY * InputManager.LOOK_SPEED * delta);
+    }
+
+    // 달리기 - 오른쪽 트리거(RT) 또는 왼쪽 범퍼(LB)
+    const trigger = buttons[7] ? buttons[7].value : 0;
+    const bumper = buttons[4] && buttons[4].pressed ? 1 : 0;
+    this.gamepadRun = Math.max(trigger, bumper);
+
+    // 상호작용 - A 버튼 (누르는 순간만)
+    const interactPressed = !!(buttons[0] && buttons[0].pressed);
+    if (interactPressed && !this.gamepadInteractPressed) {
+      this.interact();
+    }
+    this.gamepadInteractPressed = interactPressed;
+
+    // 점프 - B 버튼 (누르는 순간만)
+    const jumpPressed = !!(buttons[1] && buttons[1].pressed);
+    if (jumpPressed && !this.gamepadJumpPressed) {
+      this.jump();
+    }
+    this.gamepadJumpPressed = jumpPressed;
+  }
+
+  // 매 프레임 호출 - 모든 입력원을 합쳐 move/runIntensity 계산
+  update(delta) {
+    this.pollGamepad(delta);
+
+    const analogStrength = this.analog.length();
+
+    if (this.gamepadMove.lengthSq() > 0) {
+      // 게임패드 - 스틱 기울기만큼 이동, 트리거로 달리기
+      this.move.copy(this.gamepadMove);
+      this.runIntensity = this.gamepadRun;
+    } else if (analogStrength > 0.1) {
+      // 조이스틱 - 임계값까지는 걷기 속도 비례, 이후 달리기 속도까지 가속
+      const threshold = InputManager.RUN_THRESHOLD;
+      this.move.copy(this.analog).divideScalar(analogStrength);
+
+      if (analogStrength < threshold) {
+        this.move.multiplyScalar(analogStrength / threshold);
+        this.runIntensity = 0;
+      } else {
+        this.runIntensity = (analogStrength - threshold) / (1 - threshold);
+      }
+    } else {
+      // 키보드 - 8방향 전속력
+      this.move.set(
+        (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0),
+        (this.keys.backward ? 1 : 0) - (this.keys.forward ? 1 : 0)
+      );
+      if (this.move.lengthSq() > 0) this.move.normalize();
+      this.runIntensity = this.keys.run ? 1 : 0;
+    }
+  }
+
+  dispose() {
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+
+    this.onInteract = null;
+    this.onToggleMode = null;
+    this.onGamepadConnected = null;
+    this.onGamepadDisconnected = null;
+  }
+}
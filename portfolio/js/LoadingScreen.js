@@ -0,0 +1,75 @@
+// LoadingScreen.js
+// 로딩 화면 - 진행률 표시 및 에셋 실패 시 재시도/계속 선택
+export class LoadingScreen {
+  constructor() {
+    this.element = document.createElement('div');
+    this.element.classList.add('loading');
+    this.element.innerHTML = `
+      <div class="loading-spinner"></div>
+      <h2>Loading your portfolio city...</h2>
+      <div class="loading-progress">
+        <div class="loading-progress-bar"></div>
+      </div>
+      <p class="loading-percent">0%</p>
+      <div class="loading-error hidden">
+        <p>Some assets could not be loaded:</p>
+        <ul class="loading-error-list"></ul>
+        <div class="loading-error-actions">
+          <button class="primary-btn loading-retry">Retry</button>
+          <button class="secondary-btn loading-continue">Continue anyway</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.element);
+
+    // 요소 참조 저장
+    this.spinner = this.element.querySelector('.loading-spinner');
+    this.progressBar = this.element.querySelector('.loading-progress-bar');
+    this.percentLabel = this.element.querySelector('.loading-percent');
+    this.errorPanel = this.element.querySelector('.loading-error');
+    this.errorList = this.element.querySelector('.loading-error-list');
+    this.retryBtn = this.element.querySelector('.loading-retry');
+    this.continueBtn = this.element.querySelector('.loading-continue');
+  }
+
+  setProgress(ratio) {
+    const percent = Math.round(Math.max(0, Math.min(1, ratio)) * 100);
+    this.progressBar.style.width = `${percent}%`;
+    this.percentLabel.textContent = `${percent}%`;
+  }
+
+  // 실패한 에셋 목록과 재시도/계속 버튼 표시
+  showError(failedItems, { onRetry, onContinue } = {}) {
+    this.spinner.style.display = 'none';
+    // 에셋 주소는 그대로 텍스트로 넣음 (HTML로 해석하지 않음)
+    this.errorList.replaceChildren(...failedItems.map(item => {
+      const li = document.createElement('li');
+      li.textContent = item.split('/').pop();
+      return li;
+    }));
+
+    this.retryBtn.onclick = onRetry || null;
+
+    // 씬을 만들지 못한 경우에는 계속 진행할 수 없음
+    this.continueBtn.style.display = onContinue ? '' : 'none';
+    this.continueBtn.onclick = onContinue ? () => {
+      this.hide();
+      onContinue();
+    } : null;
+
+    this.errorPanel.classList.remove('hidden');
+  }
+
+  hide() {
+    this.element.style.opacity = '0';
+    setTimeout(() => {
+      this.remove();
+    }, 500);
+  }
+
+  remove() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+}
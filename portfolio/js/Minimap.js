@@ -0,0 +1,284 @@
+// Minimap.js
+import * as THREE from 'three';
+
+// 미니맵 - 바닥, 도로, 광장, 건물을 캔버스에 그리고 플레이어 위치/방향 표시
+// 건물을 클릭하면 onSelectBuilding(building) 호출
+export class Minimap {
+  static MIN_ZOOM = 0.5;
+  static MAX_ZOOM = 4;
+  // 줌 1일 때 월드 1 단위당 픽셀 수
+  static BASE_SCALE = 1 / 1.5;
+
+  constructor(layout, options = {}) {
+    const {
+      size = 150,
+      zoom = 1.5,
+      rotateWithPlayer = false,
+      onSelectBuilding = null // (building) => {}
+    } = options;
+
+    // layout: { groundSize, plazaRadius, roads: [{ x1, z1, x2, z2, width }], buildings }
+    this.layout = layout;
+    this.size = size;
+    this.zoom = zoom;
+    this.rotateWithPlayer = rotateWithPlayer;
+    this.onSelectBuilding = onSelectBuilding;
+
+    // 플레이어 상태 - heading은 캐릭터가 바라보는 방향, viewAngle은 카메라 방향 (맵 좌표 기준 라디안)
+    this.player = { x: 0, z: 0, heading: 0, viewAngle: -Math.PI / 2 };
+
+    // 건물 색상
+    this.buildingStyles = new Map();
+    this.layout.buildings.forEach(building => this.addBuildingStyle(building));
+
+    // 바인딩
+    this.onCanvasClick = this.onCanvasClick.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onControlsClick = this.onControlsClick.bind(this);
+    this.zoomIn = this.zoomIn.bind(this);
+    this.zoomOut = this.zoomOut.bind(this);
+    this.toggleRotate = this.toggleRotate.bind(this);
+
+    this.createElements();
+    this.setZoom(zoom);
+  }
+
+  createElements() {
+    this.wrapper = document.createElement('div');
+    this.wrapper.className = 'minimap-wrapper';
+
+    // 미니맵 컨테이너 (원형)
+    this.container = document.createElement('div');
+    this.container.className = 'minimap';
+    this.wrapper.appendChild(this.container);
+
+    // 고해상도 화면 대응 캔버스
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.size * pixelRatio;
+    this.canvas.height = this.size * pixelRatio;
+    this.container.appendChild(this.canvas);
+
+    this.context = this.canvas.getContext('2d');
+    this.context.scale(pixelRatio, pixelRatio);
+
+    // 줌 / 회전 버튼
+    this.controls = document.createElement('div');
+    this.controls.className = 'minimap-controls';
+    this.controls.innerHTML = `
+      <button class="minimap-zoom-in" title="Zoom in">+</button>
+      <button class="minimap-zoom-out" title="Zoom out">&minus;</button>
+      <button class="minimap-rotate" title="Rotate with player">&#8635;</button>
+    `;
+    this.wrapper.appendChild(this.controls);
+
+    this.zoomInBtn = this.controls.querySelector('.minimap-zoom-in');
+    this.zoomOutBtn = this.controls.querySelector('.minimap-zoom-out');
+    this.rotateBtn = this.controls.querySelector('.minimap-rotate');
+    this.rotateBtn.classList.toggle('active', this.rotateWithPlayer);
+
+    // 미니맵 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+    this.wrapper.addEventListener('click', this.onControlsClick);
+    this.canvas.addEventListener('click', this.onCanvasClick);
+    this.canvas.addEventListener('wheel', this.onWheel, { passive: false });
+    this.zoomInBtn.addEventListener('click', this.zoomIn);
+    this.zoomOutBtn.addEventListener('click', this.zoomOut);
+    this.rotateBtn.addEventListener('click', this.toggleRotate);
+
+    document.body.appendChild(this.wrapper);
+  }
+
+  addBuildingStyle(building) {
+    this.buildingStyles.set(building, {
+      color: `#${new THREE.Color(building.color).getHexString()}`
+    });
+  }
+
+  // 포트폴리오 건물 로고 - 건물이 로딩 매니저로 불러온 텍스처 이미지를 그대로 사용 (로드 전에는 null)
+  getLogoImage(building) {
+    const map = building.logo && building.logo.material.map;
+    return map ? map.image : null;
+  }
+
+  onControlsClick(event) {
+    event.stopPropagation();
+  }
+
+  setZoom(zoom) {
+    this.zoom = THREE.MathUtils.clamp(zoom, Minimap.MIN_ZOOM, Minimap.MAX_ZOOM);
+    this.zoomInBtn.disabled = this.zoom >= Minimap.MAX_ZOOM;
+    this.zoomOutBtn.disabled = this.zoom <= Minimap.MIN_ZOOM;
+    this.draw();
+  }
+
+  zoomIn() {
+    this.setZoom(this.zoom * 1.25);
+  }
+
+  zoomOut() {
+    this.setZoom(this.zoom / 1.25);
+  }
+
+  onWheel(event) {
+    event.preventDefault();
+    if (event.deltaY < 0) this.zoomIn();
+    else this.zoomOut();
+  }
+
+  toggleRotate() {
+    this.rotateWithPlayer = !this.rotateWithPlayer;
+    this.rotateBtn.classList.toggle('active', this.rotateWithPlayer);
+    this.draw();
+  }
+
+  // 매 프레임 호출 - position: 플레이어 위치 (걷기 모드가 아니면 카메라가 바라보는 지점), heading/viewDirection: 월드 XZ 방향 벡터
+  update(position, heading, viewDirection) {
+    this.player.x = position.x;
+    this.player.z = position.z;
+    this.player.heading = Math.atan2(heading.z, heading.x);
+    this.player.viewAngle = Math.atan2(viewDirection.z, viewDirection.x);
+    this.draw();
+  }
+
+  // 맵 회전각 - 회전 모드에서는 카메라 방향이 위쪽
+  get mapRotation() {
+    return this.rotateWithPlayer ? -Math.PI / 2 - this.player.viewAngle : 0;
+  }
+
+  get scale() {
+    return Minimap.BASE_SCALE * this.zoom;
+  }
+
+  // 캔버스 좌표(px)를 월드 XZ 좌표로 변환
+  mapToWorld(mapX, mapY) {
+    const half = this.size / 2;
+    const rotation = -this.mapRotation;
+    const dx = (mapX - half) / this.scale;
+    const dy = (mapY - half) / this.scale;
+
+    return {
+      x: this.player.x + dx * Math.cos(rotation) - dy * Math.sin(rotation),
+      z: this.player.z + dx * Math.sin(rotation) + dy * Math.cos(rotation)
+    };
+  }
+
+  // 월드 좌표에 있는 건물 찾기 (작은 건물도 누르기 쉽도록 여유 포함)
+  findBuildingAt(x, z) {
+    const padding = 1.5 / this.zoom;
+
+    return this.layout.buildings.find(building => {
+      const position = building.mesh.position;
+      return Math.abs(x - position.x) <= building.width / 2 + padding &&
+        Math.abs(z - position.z) <= building.depth / 2 + padding;
+    }) || null;
+  }
+
+  onCanvasClick(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const point = this.mapToWorld(event.clientX - rect.left, event.clientY - rect.top);
+    const building = this.findBuildingAt(point.x, point.z);
+
+    if (building && this.onSelectBuilding) {
+      this.onSelectBuilding(building);
+    }
+  }
+
+  draw() {
+    const ctx = this.context;
+    const { groundSize, plazaRadius, roads, buildings } = this.layout;
+    const half = this.size / 2;
+
+    ctx.clearRect(0, 0, this.size, this.size);
+
+    // 플레이어 중심, 회전, 축척 적용 - 월드 x → 오른쪽, z → 아래쪽
+    ctx.save();
+    ctx.translate(half, half);
+    ctx.rotate(this.mapRotation);
+    ctx.scale(this.scale, this.scale);
+    ctx.translate(-this.player.x, -this.player.z);
+
+    // 바닥
+    ctx.fillStyle = '#e9ecef';
+    ctx.fillRect(-groundSize / 2, -groundSize / 2, groundSize, groundSize);
+
+    // 광장
+    ctx.fillStyle = '#c9d0d6';
+    ctx.beginPath();
+    ctx.arc(0, 0, plazaRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 도로
+    ctx.strokeStyle = '#555555';
+    ctx.lineCap = 'round';
+    roads.forEach(road => {
+      ctx.lineWidth = road.width;
+      ctx.beginPath();
+      ctx.moveTo(road.x1, road.z1);
+      ctx.lineTo(road.x2, road.z2);
+      ctx.stroke();
+    });
+
+    // 건물
+    buildings.forEach(building => {
+      const style = this.buildingStyles.get(building);
+      const position = building.mesh.position;
+      const left = position.x - building.width / 2;
+      const top = position.z - building.depth / 2;
+
+      ctx.fillStyle = style.color;
+      ctx.fillRect(left, top, building.width, building.depth);
+
+      const logo = this.getLogoImage(building);
+      if (logo) {
+        // 로고는 맵 회전과 관계없이 바로 서 있도록 그림
+        const logoSize = Math.min(building.width, building.depth) * 0.9;
+        ctx.save();
+        ctx.translate(position.x, position.z);
+        ctx.rotate(-this.mapRotation);
+        ctx.drawImage(logo, -logoSize / 2, -logoSize / 2, logoSize, logoSize);
+        ctx.restore();
+      } else if (building.id) {
+        // 로고 없는 포트폴리오 건물 - 테두리로 구분
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 0.6;
+        ctx.strokeRect(left, top, building.width, building.depth);
+      }
+    });
+
+    ctx.restore();
+
+    // 플레이어 마커 - 항상 중앙, 바라보는 방향을 가리키는 화살표
+    ctx.save();
+    ctx.translate(half, half);
+    ctx.rotate(this.player.heading + this.mapRotation);
+    ctx.fillStyle = '#e03131';
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(7, 0);
+    ctx.lineTo(-5, 5);
+    ctx.lineTo(-2, 0);
+    ctx.lineTo(-5, -5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  dispose() {
+    if (this.wrapper) {
+      this.wrapper.removeEventListener('click', this.onControlsClick);
+      this.canvas.removeEventListener('click', this.onCanvasClick);
+      this.canvas.removeEventListener('wheel', this.onWheel);
+      this.zoomInBtn.removeEventListener('click', this.zoomIn);
+      this.zoomOutBtn.removeEventListener('click', this.zoomOut);
+      this.rotateBtn.removeEventListener('click', this.toggleRotate);
+      if (this.wrapper.parentNode) this.wrapper.parentNode.removeChild(this.wrapper);
+    }
+
+    this.wrapper = null;
+    this.buildingStyles.clear();
+    this.layout = null;
+    this.onSelectBuilding = null;
+  }
+}
@@ -0,0 +1,157 @@
+// MobileControls.js
+import { VirtualJoystick } from './VirtualJoystick.js';
+
+// 모바일 컨트롤 - 가상 조이스틱 이동, 드래그로 시점 회전, 점프/정보 보기 버튼
+export class MobileControls {
+  constructor(options = {}) {
+    const {
+      lookSurface,        // 드래그로 시점을 회전할 요소 (렌더러 캔버스)
+      onMove = null,      // (x, y) => {} 조이스틱 입력
+      onLook = null,      // (deltaX, deltaY) => {} 픽셀 단위 드래그 양
+      onInteract = null,  // 정보 보기 버튼
+      onJump = null       // 점프 버튼
+    } = options;
+
+    this.onMove = onMove;
+    this.onLook = onLook;
+    this.onInteract = onInteract;
+    this.onJump = onJump;
+    this.lookSurface = lookSurface;
+
+    // 바인딩
+    this.onLookStart = this.onLookStart.bind(this);
+    this.onLookMove = this.onLookMove.bind(this);
+    this.onLookEnd = this.onLookEnd.bind(this);
+    this.onInteractClick = this.onInteractClick.bind(this);
+    this.onJumpClick = this.onJumpClick.bind(this);
+    this.onControlsClick = this.onControlsClick.bind(this);
+    this.onFirstTouch = this.onFirstTouch.bind(this);
+
+    // index.html의 모바일 컨트롤 요소
+    this.container = document.getElementById('mobile-controls');
+    this.joystickArea = document.getElementById('joystick-area');
+    this.interactBtn = document.getElementById('interact-btn');
+    this.jumpBtn = document.getElementById('jump-btn');
+
+    // 컨트롤 영역 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+    if (this.container) {
+      this.container.addEventListener('click', this.onControlsClick);
+    }
+
+    if (this.joystickArea) {
+      this.joystick = new VirtualJoystick(this.joystickArea, (x, y) => {
+        if (this.onMove) this.onMove(x, y);
+      });
+    }
+
+    if (this.interactBtn) {
+      this.interactBtn.addEventListener('click', this.onInteractClick);
+    }
+
+    if (this.jumpBtn) {
+      this.jumpBtn.addEventListener('click', this.onJumpClick);
+    }
+
+    // 드래그로 시점 회전 (터치 포인터만 - 마우스는 별도 처리)
+    this.lookPointerId = null;
+    this.lastLook = { x: 0, y: 0 };
+    if (this.lookSurface) {
+      this.lookSurface.addEventListener('pointerdown', this.onLookStart);
+      this.lookSurface.addEventListener('pointermove', this.onLookMove);
+      this.lookSurface.addEventListener('pointerup', this.onLookEnd);
+      this.lookSurface.addEventListener('pointercancel', this.onLookEnd);
+    }
+
+    // 터치 기기에서 모바일 UI 자동 표시
+    if (MobileControls.isTouchDevice()) {
+      this.show();
+    } else {
+      // 터치스크린 노트북 등 - 첫 터치 시 표시
+      window.addEventListener('touchstart', this.onFirstTouch, { once: true, passive: true });
+    }
+  }
+
+  static isTouchDevice() {
+    return 'ontouchstart' in window ||
+      navigator.maxTouchPoints > 0 ||
+      window.matchMedia('(pointer: coarse)').matches;
+  }
+
+  show() {
+    document.body.classList.add('touch-device');
+  }
+
+  onFirstTouch() {
+    this.show();
+  }
+
+  onControlsClick(event) {
+    event.stopPropagation();
+  }
+
+  onInteractClick() {
+    if (this.onInteract) this.onInteract();
+  }
+
+  onJumpClick() {
+    if (this.onJump) this.onJump();
+  }
+
+  onLookStart(event) {
+    if (event.pointerType !== 'touch' || this.lookPointerId !== null) return;
+
+    this.lookPointerId = event.pointerId;
+    this.lastLook.x = event.clientX;
+    this.lastLook.y = event.clientY;
+  }
+
+  onLookMove(event) {
+    if (event.pointerId !== this.lookPointerId) return;
+
+    const deltaX = event.clientX - this.lastLook.x;
+    const deltaY = event.clientY - this.lastLook.y;
+    this.lastLook.x = event.clientX;
+    this.lastLook.y = event.clientY;
+
+    if (this.onLook) this.onLook(deltaX, deltaY);
+  }
+
+  onLookEnd(event) {
+    if (event.pointerId !== this.lookPointerId) return;
+    this.lookPointerId = null;
+  }
+
+  dispose() {
+    if (this.joystick) {
+      this.joystick.dispose();
+      this.joystick = null;
+    }
+
+    if (this.container) {
+      this.container.removeEventListener('click', this.onControlsClick);
+    }
+
+    if (this.interactBtn) {
+      this.interactBtn.removeEventListener('click', this.onInteractClick);
+    }
+
+    if (this.jumpBtn) {
+      this.jumpBtn.removeEventListener('click', this.onJumpClick);
+    }
+
+    if (this.lookSurface) {
+      this.lookSurface.removeEventListener('pointerdown', this.onLookStart);
+      this.lookSurface.removeEventListener('pointermove', this.onLookMove);
+      this.lookSurface.removeEventListener('pointerup', this.onLookEnd);
+      this.lookSurface.removeEventListener('pointercancel', this.onLookEnd);
+    }
+
+    window.removeEventListener('touchstart', this.onFirstTouch);
+    document.body.classList.remove('touch-device');
+
+    this.onMove = null;
+    this.onLook = null;
+    this.onInteract = null;
+    this.onJump = null;
+  }
+}
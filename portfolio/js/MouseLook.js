@@ -0,0 +1,108 @@
+// MouseLook.js
+
+// 마우스 시점 조작 - 드래그 또는 포인터 잠금(더블클릭) 상태의 마우스 이동으로 회전, 휠로 확대/축소
+// 터치 드래그는 MobileControls가 처리하므로 마우스 포인터만 다룸
+export class MouseLook {
+  // 이보다 많이 끌면 클릭(건물 선택)으로 처리하지 않음 (px)
+  static DRAG_THRESHOLD = 4;
+
+  constructor(element, options = {}) {
+    const {
+      onLook = null,          // (deltaX, deltaY) => {} 픽셀 단위 이동량
+      onZoom = null,          // (amount) => {} 휠 한 칸에 약 ±1
+      isEnabled = () => true  // 걷기 모드에서만 동작
+    } = options;
+
+    this.element = element;
+    this.onLook = onLook;
+    this.onZoom = onZoom;
+    this.isEnabled = isEnabled;
+
+    this.dragging = false;
+    this.dragDistance = 0;
+
+    // 바인딩
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onDoubleClick = this.onDoubleClick.bind(this);
+    this.onClickCapture = this.onClickCapture.bind(this);
+
+    element.addEventListener('pointerdown', this.onPointerDown);
+    element.addEventListener('wheel', this.onWheel, { passive: false });
+    element.addEventListener('dblclick', this.onDoubleClick);
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+    // 드래그 직후의 클릭이 건물 클릭 처리(onMouseClick)까지 가지 않도록 먼저 가로챔
+    window.addEventListener('click', this.onClickCapture, true);
+  }
+
+  get locked() {
+    return document.pointerLockElement === this.element;
+  }
+
+  onPointerDown(event) {
+    if (event.pointerType !== 'mouse' || event.button !== 0 || !this.isEnabled()) return;
+
+    this.dragging = true;
+    this.dragDistance = 0;
+  }
+
+  onPointerMove(event) {
+    if (event.pointerType !== 'mouse') return;
+    if (!this.locked && !this.dragging) return;
+
+    if (!this.isEnabled()) {
+      this.dragging = false;
+      return;
+    }
+
+    this.dragDistance += Math.abs(event.movementX) + Math.abs(event.movementY);
+    if (this.onLook) this.onLook(event.movementX, event.movementY);
+  }
+
+  onPointerUp(event) {
+    if (event.pointerType !== 'mouse') return;
+    this.dragging = false;
+  }
+
+  onClickCapture(event) {
+    // 포인터 잠금 중에는 커서 위치가 의미 없으므로 클릭도 무시
+    if (this.locked || this.dragDistance > MouseLook.DRAG_THRESHOLD) {
+      event.stopPropagation();
+    }
+    this.dragDistance = 0;
+  }
+
+  onWheel(event) {
+    if (!this.isEnabled()) return;
+
+    event.preventDefault();
+    if (this.onZoom) this.onZoom(Math.sign(event.deltaY));
+  }
+
+  // 더블클릭으로 포인터 잠금 (Esc로 해제)
+  onDoubleClick() {
+    if (!this.isEnabled() || this.locked || !this.element.requestPointerLock) return;
+    this.element.requestPointerLock();
+  }
+
+  exitPointerLock() {
+    if (this.locked) document.exitPointerLock();
+  }
+
+  dispose() {
+    this.exitPointerLock();
+
+    this.element.removeEventListener('pointerdown', this.onPointerDown);
+    this.element.removeEventListener('wheel', this.onWheel);
+    this.element.removeEventListener('dblclick', this.onDoubleClick);
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    window.removeEventListener('click', this.onClickCapture, true);
+
+    this.onLook = null;
+    this.onZoom = null;
+  }
+}
@@ -0,0 +1,135 @@
+// OccupancyGrid.js
+// 점유/용도 격자 - 도로, 광장, 랜드마크, 소품이 차지한 칸을 기록하고
+// 절차적 배치(주거 건물, 나무)는 빈 칸만 골라 겹치거나 도로를 막지 않도록 함
+export class OccupancyGrid {
+  // 칸 용도 - 0은 빈 칸
+  static FREE = 0;
+  static ROAD = 1;
+  static SIDEWALK = 2;
+  static PLAZA = 3;
+  static LANDMARK = 4;
+  static BUILDING = 5;
+  static TREE = 6;
+  static PROP = 7;
+
+  constructor(options = {}) {
+    const {
+      size = 200,   // 격자가 덮는 정사각형 한 변 (원점 중심)
+      cellSize = 1  // 칸 크기
+    } = options;
+
+    this.size = size;
+    this.cellSize = cellSize;
+    this.columns = Math.ceil(size / cellSize);
+    this.cells = new Uint8Array(this.columns * this.columns);
+  }
+
+  // 월드 좌표 → 칸 인덱스 (격자 밖이면 -1)
+  toColumn(value) {
+    const column = Math.floor((value + this.size / 2) / this.cellSize);
+    return column >= 0 && column < this.columns ? column : -1;
+  }
+
+  // 칸 중심의 월드 좌표
+  toWorld(column) {
+    return (column + 0.5) * this.cellSize - this.size / 2;
+  }
+
+  getZone(x, z) {
+    const column = this.toColumn(x);
+    const row = this.toColumn(z);
+    if (column < 0 || row < 0) return OccupancyGrid.FREE;
+    return this.cells[row * this.columns + column];
+  }
+
+  // 사각 영역에 걸친 칸마다 callback(index, worldX, worldZ) 호출 - false를 반환하면 중단
+  forEachCell(minX, minZ, maxX, maxZ, callback) {
+    const startColumn = Math.max(0, Math.floor((minX + this.size / 2) / this.cellSize));
+    const endColumn = Math.min(this.columns - 1, Math.floor((maxX + this.size / 2) / this.cellSize));
+    const startRow = Math.max(0, Math.floor((minZ + this.size / 2) / this.cellSize));
+    const endRow = Math.min(this.columns - 1, Math.floor((maxZ + this.size / 2) / this.cellSize));
+
+    for (let row = startRow; row <= endRow; row++) {
+      for (let column = startColumn; column <= endColumn; column++) {
+        if (callback(row * this.columns + column, this.toWorld(column), this.toWorld(row)) === false) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  // 중심 (x, z), 크기 width × depth 사각형 예약 (rotation이 있으면 회전한 사각형을 감싸는 영역)
+  reserveRect(x, z, width, depth, zone, padding = 0, rotation = 0) {
+    const { halfWidth, halfDepth } = this.getHalfExtents(width, depth, padding, rotation);
+    this.forEachCell(x - halfWidth, z - halfDepth, x + halfWidth, z + halfDepth, index => {
+      this.cells[index] = zone;
+    });
+  }
+
+  reserveCircle(x, z, radius, zone) {
+    this.forEachCell(x - radius, z - radius, x + radius, z + radius, (index, cellX, cellZ) => {
+      if (Math.hypot(cellX - x, cellZ - z) <= radius) this.cells[index] = zone;
+    });
+  }
+
+  // 도로망의 도로면과 인도 예약
+  reserveRoads(network) {
+    network.edges.forEach(edge => {
+      const reach = edge.width / 2 + network.sidewalkWidth;
+      const minX = Math.min(edge.from.x, edge.to.x) - reach;
+      const maxX = Math.max(edge.from.x, edge.to.x) + reach;
+      const minZ = Math.min(edge.from.z, edge.to.z) - reach;
+      const maxZ = Math.max(edge.from.z, edge.to.z) + reach;
+
+      this.forEachCell(minX, minZ, maxX, maxZ, (index, cellX, cellZ) => {
+        const distance = network.nearestPointOnEdge(edge, cellX, cellZ).distance - edge.width / 2;
+        if (distance <= 0) {
+          this.cells[index] = OccupancyGrid.ROAD;
+        } else if (distance <= network.sidewalkWidth && this.cells[index] !== OccupancyGrid.ROAD) {
+          this.cells[index] = OccupancyGrid.SIDEWALK;
+        }
+      });
+    });
+  }
+
+  // 영역의 모든 칸이 비었는지 - allow에 든 용도의 칸은 빈 칸으로 취급 (예: 광장 위 나무)
+  isFree(x, z, width, depth, padding = 0, allow = []) {
+    const { halfWidth, halfDepth } = this.getHalfExtents(width, depth, padding, 0);
+    return this.forEachCell(x - halfWidth, z - halfDepth, x + halfWidth, z + halfDepth, index => {
+      const zone = this.cells[index];
+      return zone === OccupancyGrid.FREE || allow.includes(zone);
+    });
+  }
+
+  // 영역 안에서 빈 자리 찾기 - 시도 횟수를 넘기면 null (무한 반복 없음)
+  findFreeSpot(random, options = {}) {
+    const {
+      minX = -this.size / 2,
+      maxX = this.size / 2,
+      minZ = -this.size / 2,
+      maxZ = this.size / 2,
+      width = 1,
+      depth = 1,
+      padding = 0,
+      allow = [],
+      attempts = 50
+    } = options;
+
+    for (let i = 0; i < attempts; i++) {
+      const x = random.range(minX, maxX);
+      const z = random.range(minZ, maxZ);
+      if (this.isFree(x, z, width, depth, padding, allow)) return { x, z };
+    }
+    return null;
+  }
+
+  getHalfExtents(width, depth, padding, rotation) {
+    const cos = Math.abs(Math.cos(rotation));
+    const sin = Math.abs(Math.sin(rotation));
+    return {
+      halfWidth: (width * cos + depth * sin) / 2 + padding,
+      halfDepth: (width * sin + depth * cos) / 2 + padding
+    };
+  }
+}
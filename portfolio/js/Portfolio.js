@@ -4,9 +4,30 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { Building } from './Building.js';
 import { InfoPanel } from './InfoPanel.js';
 import { Character } from './Character.js';
+import { ProximityInteraction } from './ProximityInteraction.js';
+import { MobileControls } from './MobileControls.js';
+import { MouseLook } from './MouseLook.js';
+import { InputManager } from './InputManager.js';
+import { Toast } from './Toast.js';
+import { ExplorationModeController } from './ExplorationModeController.js';
+import { GuidedTour } from './GuidedTour.js';
+import { HashRouter } from './HashRouter.js';
+import { Minimap } from './Minimap.js';
+import { SeededRandom } from './SeededRandom.js';
+import { DayNightCycle } from './DayNightCycle.js';
+import { WeatherSystem } from './WeatherSystem.js';
+import { HoverInteraction } from './HoverInteraction.js';
+import { RoadNetwork } from './RoadNetwork.js';
+import { OccupancyGrid } from './OccupancyGrid.js';
+import { CollisionWorld } from './CollisionWorld.js';
+import { SpatialIndex } from './SpatialIndex.js';
+import { StaticBatch } from './StaticBatch.js';
+import { AmbientLife } from './AmbientLife.js';
+import { Fountain } from './Fountain.js';
+import { AudioSystem } from './AudioSystem.js';
 
 export class Portfolio {
-  constructor(containerId) {
+  constructor(containerId, content, loadingManager = THREE.DefaultLoadingManager, options = {}) {
     // DOM container
     this.container = document.getElementById(containerId);
     if (!this.container) {
@@ -16,10 +37,30 @@ export class Portfolio {
     // Bind event methods
     this.onWindowResize = this.onWindowResize.bind(this);
     this.onMouseClick = this.onMouseClick.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onInteract = this.onInteract.bind(this);
+    this.onControlsEnd = this.onControlsEnd.bind(this);
     this.animate = this.animate.bind(this);
 
+    // 포트폴리오 콘텐츠 (건물 배치 및 소개 텍스트)
+    if (!content) {
+      throw new Error('Portfolio content is required.');
+    }
+    this.content = content;
+
+    // 절차적 생성용 시드 - 주거 지역, 나무, 창문 배치가 모두 이 시드에서 결정됨
+    const { seed = content.seed, weather = content.weather.preset, quality = content.quality } = options;
+    this.random = new SeededRandom(seed);
+
+    // 품질 설정 (low | medium | high) - 배경 자동차/보행자 밀도 등에 반영
+    this.quality = this.resolveQuality(quality);
+
+    // 공유 로딩 매니저 - 로고 텍스처, 캐릭터 모델 로딩 진행률 추적
+    this.loadingManager = loadingManager;
+    this.textureLoader = new THREE.TextureLoader(loadingManager);
+
     // Info panel
-    this.infoPanel = new InfoPanel();
+    this.infoPanel = new InfoPanel(content);
 
     // Cache for geometries and materials
     this.geometryCache = {};
@@ -36,17 +77,60 @@ export class Portfolio {
     // Building collections
     this.buildings = [];
     this.visibleBuildings = new Set();
+    // 이번 프레임에 화면 안에 있는 건물과 소품 (공간 색인 프러스텀 검사)
+    this.inView = new Set();
 
     // Raycaster for mouse interaction
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
+    // 누른 위치 - 전경 모드에서 카메라를 끌고 뗀 클릭을 건물 선택으로 처리하지 않기 위함
+    this.pointerDownPosition = new THREE.Vector2();
 
     // Create city
     this.createCity();
 
+    // 하루 주기 - 태양, 하늘색, 가로등, 창문 불빛 (시간 슬라이더 포함)
+    this.dayNight = new DayNightCycle(this.scene, this.renderer, this.lights, {
+      ...this.content.dayNight,
+      streetlights: this.streetlights,
+      // 창문 인스턴스 재질, 중간 거리 외벽 텍스처 재질, 주거 지역 배치의 창문/외벽 아틀라스 재질
+      windowMaterials: [...new Set(this.buildings
+        .flatMap(building => [building.windowMaterial, building.facadeMaterial])
+        .concat(this.residentialBatch.windowMaterial, this.residentialBatch.facadeMaterial)
+        .filter(Boolean))],
+      // 강조 복제 재질은 공유 재질의 발광을 복사해 두므로 불빛이 바뀌면 다시 복사
+      onWindowChange: () => this.buildings.forEach(building => building.refreshHighlight())
+    });
+
+    // 날씨 - 비/눈 파티클, 젖은 바닥, 안개 (하루 주기 색상 위에 적용)
+    this.weather = new WeatherSystem(this.scene, this.camera, this.renderer, {
+      preset: weather,
+      transition: this.content.weather.transition,
+      sun: this.lights.sun,
+      groundMaterials: this.groundMaterials,
+      random: this.random.fork('weather')
+    });
+
+    // 배경 움직임 - 도로를 도는 자동차와 인도/광장의 보행자
+    this.ambient = new AmbientLife(this.scene, this.roadNetwork, this.occupancy, {
+      ...this.content.ambient,
+      quality: this.quality,
+      plazaRadius: this.plazaRadius,
+      random: this.random.fork('ambient')
+    });
+
+    // 공간 음향 - 첫 사용자 입력 뒤 시작 (음량/음소거 컨트롤 포함)
+    this.createAudio();
+
     // Handle mouse click
+    window.addEventListener('pointerdown', this.onPointerDown);
     window.addEventListener('click', this.onMouseClick);
 
+    // 마우스 오버 툴팁 및 커서
+    this.hover = new HoverInteraction(this.camera, this.renderer.domElement, {
+      pick: (raycaster) => this.pickBuilding(raycaster)
+    });
+
     // Animation clock
     this.clock = new THREE.Clock();
 
@@ -58,6 +142,35 @@ export class Portfolio {
     this.animate();
   }
 
+  // 분수대, 자동차 몇 대, 포트폴리오 건물마다 위치 소리
+  createAudio() {
+    this.audio = new AudioSystem(this.camera, this.content.audio);
+
+    this.fountains.forEach(fountain => this.audio.addEmitter(fountain.mesh, 'fountain'));
+
+    for (let i = 0; i < this.content.audio.trafficSources; i++) {
+      const anchor = this.ambient.getCarAnchor(i);
+      if (anchor) this.audio.addEmitter(anchor, 'traffic');
+    }
+
+    this.buildings.filter(building => building.id).forEach((building, index) => {
+      this.audio.addEmitter(building.mesh, 'building', { index });
+    });
+
+    // 정보 패널 열림/닫힘 효과음
+    this.infoPanel.onOpen = () => this.audio.playUi('open');
+    this.infoPanel.onClose = () => this.audio.playUi('close');
+  }
+
+  // 'auto'는 터치 기기나 메모리가 적은 기기에서 low, 그 외에는 high
+  resolveQuality(quality) {
+    if (['low', 'medium', 'high'].includes(quality)) return quality;
+
+    const coarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    const lowMemory = navigator.deviceMemory !== undefined && navigator.deviceMemory < 4;
+    return coarsePointer || lowMemory ? 'low' : 'high';
+  }
+
   initScene() {
     this.scene = new THREE.Scene();
     // Optional: Add fog for better LOD transitions
@@ -114,8 +227,17 @@ export class Portfolio {
       }
     });
 
+    // 통합 입력 (키보드, 조이스틱, 게임패드)
+    this.input = new InputManager();
+    this.input.onGamepadConnected = () => Toast.show('Gamepad connected');
+    this.input.onGamepadDisconnected = () => Toast.show('Gamepad disconnected');
+
     // 캐릭터 생성
-    this.character = new Character(this.scene, this.camera, ground);
+    this.character = new Character(this.scene, this.camera, ground, this.loadingManager, this.input);
+
+    // 지면 외에 올라설 수 있는 표면 - 광장, 인도, 연석 (건물 계단/기단은 캐릭터가 근처 건물에서 직접 검사)
+    this.character.setWalkableSurfaces(['plaza', 'sidewalks', 'curbs'].map(name => this.scene.getObjectByName(name)));
+    this.character.setColliders(this.collisions);
 
     // GLB 모델 경로 (실제 모델로 교체 필요)
     const modelPath = './assets/character.glb'; // 실제 파일로 교체 필요
@@ -127,51 +249,211 @@ export class Portfolio {
       console.warn('캐릭터 모델 로드 실패, 임시 모델 사용:', error);
     }
 
+    // 걷기/달리기 발소리
+    this.character.onFootstep = (running) => this.audio.playFootstep(running);
+
+    // 근접 상호작용 (E 키 / 게임패드 A 버튼 / 정보 보기 버튼)
+    this.proximity = new ProximityInteraction(this.camera, this.infoPanel, this.spatialIndex, {
+      radius: this.content.interaction.radius
+    });
+    this.input.onInteract = this.onInteract;
+
+    // 모바일 컨트롤 (조이스틱, 드래그 시점 회전, 정보 보기 버튼)
+    this.mobileControls = new MobileControls({
+      lookSurface: this.renderer.domElement,
+      onMove: (x, y) => this.input.setAnalogMove(x, y),
+      onLook: (deltaX, deltaY) => this.input.addLook(-deltaX * 0.005, deltaY * 0.005),
+      onInteract: this.onInteract,
+      onJump: () => this.input.jump()
+    });
+
+    // 마우스 시점 조작 (드래그, 더블클릭 포인터 잠금, 휠 확대/축소) - 걷기 모드에서만
+    this.mouseLook = new MouseLook(this.renderer.domElement, {
+      onLook: (deltaX, deltaY) => this.input.addLook(-deltaX * 0.004, deltaY * 0.004),
+      onZoom: (amount) => this.input.addZoom(amount),
+      isEnabled: () => this.characterMode
+    });
+
+    // 탐색 모드 전환 (걷기 ↔ 전경) - V 키 또는 화면 버튼
+    this.modes = new ExplorationModeController(this.camera, this.controls, {
+      character: this.character,
+      onModeChange: (mode) => {
+        this.characterMode = mode === ExplorationModeController.WALK;
+        // 비행이 끝난 자세에서 추적 카메라 감쇠를 시작
+        if (this.characterMode) this.character.snapCamera();
+      }
+    });
+    this.input.onToggleMode = this.modes.toggle;
+
+    // 가이드 투어 (Start Exploring 버튼)
+    this.tour = new GuidedTour(this.camera, this.infoPanel, {
+      dwellTime: this.content.tour.dwellTime,
+      flightDuration: this.content.tour.flightDuration,
+      onEnd: () => this.modes.resumeWalk(this.tour.getLookTarget())
+    });
+    this.infoPanel.onStartTour = () => this.startTour();
+
     // 미니맵 생성
     this.createMinimap();
 
     // 모드 설정
     this.characterMode = true;
+
+    // URL 라우팅 - 건물 선택/닫기를 히스토리에 기록하고 딥 링크 처리
+    this.applyingRoute = false;
+    this.router = new HashRouter(route => this.applyRoute(route));
+    this.infoPanel.onSelectionChange = (building) => {
+      if (this.applyingRoute) return;
+      const path = building && building.id ? HashRouter.buildingPath(building.id) : '/';
+      // 투어 중에는 정류장마다 열고 닫히므로 기록을 쌓지 않고 현재 항목만 바꿈
+      if (this.tour && this.tour.active) {
+        this.router.replace(path);
+      } else {
+        this.router.navigate(path);
+      }
+    };
+    this.controls.addEventListener('end', this.onControlsEnd);
+    this.router.start();
+  }
+
+  // URL 경로에 맞춰 카메라 위치와 정보 패널 갱신
+  applyRoute(route) {
+    this.applyingRoute = true;
+
+    // 투어 중에 링크를 열거나 뒤로 가면 투어 종료
+    if (this.tour && this.tour.active) this.tour.stop(false);
+
+    if (route.name === HashRouter.BUILDING) {
+      const building = this.getBuildingById(route.id);
+      if (building) {
+        this.focusBuilding(building);
+        this.infoPanel.showBuildingInfo(building);
+        this.infoPanel.hideWelcomePanel();
+      }
+    } else if (route.name === HashRouter.VIEW) {
+      this.infoPanel.hideBuildingInfo();
+      this.modes.jumpToOverview(route.position, route.target);
+      this.infoPanel.hideWelcomePanel();
+    } else {
+      this.infoPanel.hideBuildingInfo();
+    }
+
+    this.applyingRoute = false;
+  }
+
+  // 건물이 보이도록 카메라 이동 - 걷기 모드는 캐릭터를 건물 앞으로, 전경 모드는 건물을 오비트 중심으로
+  focusBuilding(building) {
+    if (this.characterMode && this.character) {
+      this.dropCharacterAt(building);
+      return;
+    }
+
+    const center = building.mesh.position;
+    const distance = Math.max(building.width, building.depth, building.height) + 20;
+    this.modes.jumpToOverview(
+      new THREE.Vector3(center.x + distance * 0.6, building.height + distance * 0.6, center.z + distance),
+      new THREE.Vector3(center.x, building.height * 0.5, center.z)
+    );
+  }
+
+  // 전경 모드에서 카메라 조작이 끝나면 현재 시점을 공유 가능한 URL로 기록
+  onControlsEnd() {
+    if (!this.router || this.characterMode || this.infoPanel.selectedBuilding) return;
+    this.router.replace(HashRouter.viewPath(this.camera.position, this.controls.target));
+  }
+
+  // id로 포트폴리오 건물 찾기
+  getBuildingById(id) {
+    return this.buildings.find(building => building.id === id) || null;
+  }
+
+  // 콘텐츠 파일의 순서대로 가이드 투어 시작
+  startTour() {
+    if (!this.tour) return;
+
+    const stops = this.content.tour.order
+      .map(id => this.getBuildingById(id))
+      .filter(Boolean);
+
+    // 현재 시선 - 걷기 모드는 캐릭터, 전경 모드는 오비트 타깃
+    const fromTarget = new THREE.Vector3();
+    if (this.characterMode && this.character) {
+      this.character.getCameraPose(new THREE.Vector3(), fromTarget);
+    } else {
+      fromTarget.copy(this.controls.target);
+    }
+
+    this.controls.enabled = false;
+    this.characterMode = false;
+    this.tour.start(stops, fromTarget);
+  }
+
+  // 가장 가까운 건물 정보 열기
+  onInteract() {
+    if (this.proximity) this.proximity.interact();
   }
 
   createMinimap() {
-    // 미니맵 컨테이너 생성
-    const minimapContainer = document.createElement('div');
-    minimapContainer.className = 'minimap';
-    document.body.appendChild(minimapContainer);
-
-    // 캐릭터 마커 생성
-    const playerMarker = document.createElement('div');
-    playerMarker.className = 'player-marker';
-    minimapContainer.appendChild(playerMarker);
-
-    // 미니맵 참조 저장
-    this.minimap = {
-      container: minimapContainer,
-      playerMarker: playerMarker
-    };
+    // 도시 배치 (바닥, 광장, 도로, 건물)로 미니맵 생성
+    this.minimap = new Minimap({
+      groundSize: this.groundSize,
+      plazaRadius: this.plazaRadius,
+      roads: this.roadNetwork.getSegments(),
+      buildings: this.buildings
+    }, {
+      onSelectBuilding: (building) => this.travelToBuilding(building)
+    });
   }
 
+  // 미니맵에서 선택한 건물로 이동 - 걷기 모드는 캐릭터가 건물 앞까지 달려감
+  travelToBuilding(building) {
+    if (this.tour && this.tour.active) this.tour.stop(false);
 
-  // 미니맵 업데이트
-  updateMinimap() {
-    if (!this.minimap || !this.character) return;
+    this.infoPanel.showBuildingInfo(building);
+    this.infoPanel.hideWelcomePanel();
+
+    if (this.characterMode && this.character) {
+      const position = building.mesh.position;
+      this.character.walkTo(position.x, position.z + building.depth / 2 + 2);
+    } else if (this.modes && !this.modes.isTransitioning) {
+      this.focusBuilding(building);
+    }
+  }
+
+
+  // 근접 건물 검색 및 프롬프트 위치 업데이트
+  updateProximity() {
+    if (!this.proximity || !this.character) return;
 
     const target = this.character.model || this.character.tempModel;
     if (!target) return;
 
-    // 마을 크기에 맞춰 미니맵 스케일 조정
-    const mapScale = 1.5; // 미니맵 스케일 (필요에 따라 조정)
-    const centerX = this.minimap.container.offsetWidth / 2;
-    const centerY = this.minimap.container.offsetHeight / 2;
+    this.proximity.update(target.position);
+  }
+
+  // 미니맵 업데이트 - 캐릭터 위치/방향과 카메라 방향 전달
+  // 모든 모드에서 매 프레임 - 걷기 모드는 캐릭터, 그 외에는 카메라가 바라보는 지점을 표시
+  updateMinimap() {
+    if (!this.minimap) return;
+
+    const viewDirection = new THREE.Vector3();
+    this.camera.getWorldDirection(viewDirection);
 
-    // 캐릭터 위치를 미니맵 좌표로 변환
-    const x = centerX + (target.position.x / mapScale);
-    const y = centerY + (target.position.z / mapScale);
+    const model = this.character && (this.character.model || this.character.tempModel);
+    if (this.characterMode && model) {
+      const heading = new THREE.Vector3(0, 0, 1).applyQuaternion(model.quaternion);
+      this.minimap.update(model.position, heading, viewDirection);
+      return;
+    }
 
-    // 마커 위치 업데이트
-    this.minimap.playerMarker.style.left = `${x}px`;
-    this.minimap.playerMarker.style.top = `${y}px`;
+    // 투어와 모드 전환 비행은 각자의 시선, 전경 모드는 오비트 중심
+    let target = this.controls.target;
+    if (this.tour && this.tour.active) {
+      target = this.tour.getLookTarget();
+    } else if (this.modes && this.modes.isTransitioning) {
+      target = this.modes.lookTarget;
+    }
+    this.minimap.update(target, viewDirection, viewDirection);
   }
 
 
@@ -215,6 +497,14 @@ export class Portfolio {
     spotLight.position.set(0, 30, 0);
     spotLight.castShadow = false;
     this.scene.add(spotLight);
+
+    // 하루 주기에서 조절할 조명
+    this.lights = {
+      ambient: ambientLight,
+      sun: directionalLight,
+      fill: fillLight,
+      spot: spotLight
+    };
   }
 
   // 공유 지오메트리 캐시 생성
@@ -269,128 +559,46 @@ export class Portfolio {
   }
 
   createCity() {
-    // Create ground
+    // Create ground - 공간 색인이 바닥 크기(groundSize)를 쓰므로 먼저 생성
     this.createGround();
 
-    // Scandinavian color palette
-    const colors = [
-      0xf5b971, // Orange beige
-      0xd6a2ad, // Rose pink
-      0x7ea8c4, // Pastel blue
-      0x8fb9aa, // Sage green
-      0xefd9ca  // Light peach
-    ];
+    // 공간 색인 - 건물, 소품, 충돌체의 경계 상자 (컬링, 선택, 충돌, 근접 검사 공용)
+    this.spatialIndex = new SpatialIndex({ size: this.groundSize, cellSize: 16 });
 
-    // Portfolio building information
-    const portfolioBuildings = [
-      {
-        type: 'main',
-        posX: 0,
-        posZ: 0,
-        width: 8,
-        height: 16,
-        depth: 8,
-        color: 0x7ea8c4,
-        castShadow: true, // 중요 건물만 그림자 활성화
-        info: {
-          title: "KSJ - Cloud Solutions Architect",
-          description: "I'm a Cloud Solutions Architect specializing in multi-cloud environments and containerization technologies. Explore the city to learn more about my expertise in different cloud technologies."
-        }
-      },
-      // 중요한 건물들에만 그림자 활성화
-      {
-        type: 'kubernetes',
-        posX: -16,
-        posZ: -16,
-        width: 6,
-        height: 12,
-        depth: 6,
-        color: colors[2],
-        castShadow: true,
-        logoTexture: './assets/logos/kubernetes-logo.png',
-        info: {
-          title: "Kubernetes Expertise",
-          description: "Extensive experience with Kubernetes orchestration, including cluster deployment, pod management, service configuration, and CI/CD integration. Proficient in handling complex microservices architectures with high availability and scalability requirements."
-        }
-      },
-      // 나머지 건물 정보 동일하게 유지하고 castShadow 속성 추가
-      {
-        type: 'aws',
-        posX: 16,
-        posZ: -16,
-        width: 6,
-        height: 14,
-        depth: 6,
-        color: colors[0],
-        castShadow: true,
-        logoTexture: './assets/logos/aws-logo.png',
-        info: {
-          title: "AWS Cloud Solutions",
-          description: "Specialized in AWS infrastructure design and implementation. Proficient with EC2, S3, Lambda, RDS, EKS, and other AWS services. Experienced in designing cost-effective, secure, and scalable cloud architectures for various business needs."
-        }
-      },
-      {
-        type: 'naver',
-        posX: 16,
-        posZ: 16,
-        width: 6,
-        height: 10,
-        depth: 6,
-        color: colors[3],
-        castShadow: false,
-        logoTexture: './assets/logos/naver-cloud-logo.png',
-        info: {
-          title: "NAVER Cloud Platform",
-          description: "Expert in NAVER Cloud Platform services and architecture, providing localized solutions for businesses operating in the Korean market. Experience with NAVER Cloud's compute, storage, networking, and database services."
-        }
-      },
-      {
-        type: 'kt',
-        posX: -16,
-        posZ: 16,
-        width: 6,
-        height: 11,
-        depth: 6,
-        color: colors[1],
-        castShadow: false,
-        logoTexture: './assets/logos/kt-cloud-logo.png',
-        info: {
-          title: "KT Cloud Solutions",
-          description: "Skilled in implementing and managing KT Cloud infrastructure. Experience with enterprise-level deployments, cloud migration strategies, and hybrid cloud setups using KT Cloud's comprehensive service offering."
-        }
-      },
-      {
-        type: 'nhn',
-        posX: 0,
-        posZ: -24,
-        width: 6,
-        height: 12,
-        depth: 6,
-        color: colors[4],
-        castShadow: false,
-        logoTexture: './assets/logos/nhn-cloud-logo.png',
-        info: {
-          title: "NHN Cloud Infrastructure",
-          description: "Proficient in NHN Cloud services and architecture. Experience in designing and implementing solutions using NHN's compute, storage, and platform services for businesses requiring reliable cloud infrastructure."
-        }
-      }
-    ];
+    // 정적 충돌체 - 건물과 소품을 배치하면서 함께 등록
+    this.collisions = new CollisionWorld(this.spatialIndex);
 
-    // Create main portfolio buildings
-    portfolioBuildings.forEach(buildingData => {
-      const building = this.addBuilding(buildingData);
+    // Create main portfolio buildings (콘텐츠 파일에서 로드)
+    this.content.buildings.forEach(buildingData => {
+      const building = this.addBuilding({ ...buildingData });
       // 중요 건물은 항상 업데이트
       this.visibleBuildings.add(building);
     });
 
-    // Add residential buildings - 개수 줄임
-    this.addResidentialDistrict(20); // 30에서 20으로 줄임
+    // 도로망 - 주거 지역과 나무 배치가 도로를 피하도록 먼저 생성
+    this.roadNetwork = new RoadNetwork(this.content.roads);
+
+    // 점유 격자 - 도로, 광장, 랜드마크 자리를 먼저 예약
+    this.createOccupancyGrid();
 
     // Add roads
     this.addRoads();
 
-    // 추가 환경 요소 (나무, 조경) - 개수 줄임
-    this.addEnvironmentalElements(20); // 나무 개수 줄임
+    // 고정 소품 (분수대, 가로등, 벤치) - 절차적 배치보다 먼저 자리 예약
+    this.fountains = [];
+    this.content.fountains.forEach(fountain => this.addFountain(fountain));
+    this.addStreetlights(8); // 12개에서 8개로 줄임
+    this.addBenches();
+
+    // Add residential buildings - 개수는 콘텐츠 파일에서 설정
+    const residential = this.addResidentialDistrict(this.content.residential.count);
+
+    // 나무 - 남은 빈 자리에 배치
+    this.addTrees(20); // 나무 개수 줄임
+
+    // 주거 지역은 바뀌지 않으므로 재질별로 합쳐 그리기 호출을 줄임 (선택/강조는 건물 번호로)
+    this.residentialBatch = new StaticBatch(residential);
+    this.scene.add(this.residentialBatch.group);
 
     // 한 번만 그림자 업데이트 (정적 장면)
     this.renderer.shadowMap.needsUpdate = true;
@@ -399,6 +607,7 @@ export class Portfolio {
   createGround() {
     // 바닥면 최적화 - 세그먼트 수 줄임
     const groundSize = 200;
+    this.groundSize = groundSize;
     const groundSegments = 50; // 100에서 줄임
 
     // 공유 지오메트리 사용
@@ -429,8 +638,12 @@ export class Portfolio {
     ground.name = 'ground';
     this.scene.add(ground);
 
+    // 날씨에 따라 젖거나 눈에 덮이는 바닥 재질
+    this.groundMaterials = [groundMaterial];
+
     // 중앙 광장 - 적은 세그먼트 사용
-    const plazaGeometry = this.getGeometry('circle', 25, 16); // 세그먼트 줄임
+    this.plazaRadius = 25;
+    const plazaGeometry = this.getGeometry('circle', this.plazaRadius, 16); // 세그먼트 줄임
     const plazaMaterial = this.getMaterial('standard', {
       color: 0xdadfe3,
       roughness: 0.6,
@@ -443,9 +656,26 @@ export class Portfolio {
     plaza.receiveShadow = true;
     plaza.name = 'plaza';
     this.scene.add(plaza);
+    this.groundMaterials.push(plazaMaterial);
+  }
+
+  createOccupancyGrid() {
+    this.occupancy = new OccupancyGrid({ size: this.groundSize, cellSize: 1 });
+
+    this.occupancy.reserveRoads(this.roadNetwork);
+    this.occupancy.reserveCircle(0, 0, this.plazaRadius, OccupancyGrid.PLAZA);
+
+    // 랜드마크 건물 - 주변 산책로까지 여유를 두고 예약
+    this.buildings.forEach(building => {
+      const { x, z } = building.mesh.position;
+      this.occupancy.reserveRect(x, z, building.width, building.depth, OccupancyGrid.LANDMARK, 2);
+    });
   }
 
   addRoads() {
+    const network = this.roadNetwork;
+    const sidewalkWidth = network.sidewalkWidth;
+
     // 공유 재질 사용
     const roadMaterial = this.getMaterial('standard', {
       color: 0x333333,
@@ -453,79 +683,121 @@ export class Portfolio {
       metalness: 0
     });
 
+    const sidewalkMaterial = this.getMaterial('standard', {
+      color: 0xc4c9ce,
+      roughness: 0.85,
+      metalness: 0
+    });
+
+    const curbMaterial = this.getMaterial('standard', {
+      color: 0x9aa1a8,
+      roughness: 0.8,
+      metalness: 0
+    });
+
     const markingMaterial = this.getMaterial('basic', {
       color: 0xffffff,
       side: THREE.DoubleSide
     });
 
-    // East-West main road
-    const roadWidth = 6;
-    const eastWestRoad = new THREE.Mesh(
-      this.getGeometry('plane', 60, roadWidth),
-      roadMaterial
-    );
-    eastWestRoad.rotation.x = Math.PI / 2;
-    eastWestRoad.position.y = 0.01;
-    eastWestRoad.name = 'road-ew';
-    this.scene.add(eastWestRoad);
-
-    // North-South main road
-    const northSouthRoad = new THREE.Mesh(
-      this.getGeometry('plane', roadWidth, 60),
-      roadMaterial
-    );
-    northSouthRoad.rotation.x = Math.PI / 2;
-    northSouthRoad.position.y = 0.01;
-    northSouthRoad.name = 'road-ns';
-    this.scene.add(northSouthRoad);
-
-    // 도로 마킹을 위한 인스턴스 메시 사용
-    const markingGeometry = this.getGeometry('plane', 1, 0.3);
-    const markingCount = Math.ceil(60 / 4) * 2; // EW + NS 마킹
-    const markingInstancedMesh = new THREE.InstancedMesh(
-      markingGeometry,
-      markingMaterial,
-      markingCount
-    );
-    markingInstancedMesh.name = 'road-markings';
-    this.scene.add(markingInstancedMesh);
-
-    // 마킹 설정
-    const matrix = new THREE.Matrix4();
-    let instanceIndex = 0;
-
-    // East-West markings
-    for (let i = -26; i <= 26; i += 4) {
-      matrix.makeRotationX(Math.PI / 2);
-      matrix.setPosition(i, 0.02, 0);
-      markingInstancedMesh.setMatrixAt(instanceIndex++, matrix);
-    }
+    // 모든 도로 요소는 단위 박스/원기둥을 늘려 인스턴스로 그림
+    const boxGeometry = this.getGeometry('box', 1, 1, 1);
+    const discGeometry = this.getGeometry('cylinder', 1, 1, 1, 24);
+
+    const roadMatrices = [];
+    const junctionMatrices = [];
+    const sidewalkMatrices = [];
+    const curbMatrices = [];
+    const markingMatrices = [];
+    const crosswalkMatrices = [];
+
+    // 도로 방향 기준 박스 배치 - along: 간선 시작점부터 거리, offset: 횡방향 거리
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const up = new THREE.Vector3(0, 1, 0);
+    const place = (edge, along, offset, y, length, height, width) => {
+      const point = network.pointAlong(edge, along / edge.length, offset);
+      position.set(point.x, y, point.z);
+      rotation.setFromAxisAngle(up, edge.angle);
+      scale.set(length, height, width);
+      return new THREE.Matrix4().compose(position, rotation, scale);
+    };
 
-    // North-South markings
-    for (let i = -26; i <= 26; i += 4) {
-      matrix.makeRotationX(Math.PI / 2);
-      matrix.setPosition(0, 0.02, i);
-      markingInstancedMesh.setMatrixAt(instanceIndex++, matrix);
-    }
+    network.edges.forEach(edge => {
+      const halfWidth = edge.width / 2;
+
+      // 노드 쪽 끝에서 비워둘 거리 - 교차로는 교차 도로 폭만큼, 단순 연결점은 틈 없이
+      const trimStart = network.isIntersection(edge.from) ? network.junctionRadius(edge.from) : 0;
+      const trimEnd = network.isIntersection(edge.to) ? network.junctionRadius(edge.to) : 0;
+
+      // 도로면
+      roadMatrices.push(place(edge, edge.length / 2, 0, 0.01, edge.length, 0.02, edge.width));
+
+      // 인도와 연석 - 교차로 쪽은 인도 폭만큼 더 물러나고, 꺾이는 연결점은 살짝 겹쳐 틈을 메움
+      const sidewalkStart = trimStart > 0 ? trimStart + sidewalkWidth : -0.6;
+      const sidewalkEnd = edge.length - (trimEnd > 0 ? trimEnd + sidewalkWidth : -0.6);
+      const sidewalkLength = sidewalkEnd - sidewalkStart;
+      if (sidewalkLength > 0) {
+        const center = (sidewalkStart + sidewalkEnd) / 2;
+        [-1, 1].forEach(side => {
+          sidewalkMatrices.push(place(edge, center, side * (halfWidth + sidewalkWidth / 2), 0.075,
+            sidewalkLength, 0.15, sidewalkWidth));
+          curbMatrices.push(place(edge, center, side * (halfWidth + 0.1), 0.1,
+            sidewalkLength, 0.2, 0.2));
+        });
+      }
 
-    markingInstancedMesh.instanceMatrix.needsUpdate = true;
+      // 차선 마킹 - 4 단위 간격 점선, 교차로와 횡단보도 구간 제외
+      const markingStart = trimStart + (trimStart > 0 ? 4 : 1);
+      const markingEnd = edge.length - trimEnd - (trimEnd > 0 ? 4 : 1);
+      for (let along = markingStart; along <= markingEnd; along += 4) {
+        markingMatrices.push(place(edge, along, 0, 0.025, 1.5, 0.01, 0.2));
+      }
 
-    // 대각선 도로는 별도로 생성 (더 적은 수의 마킹)
-    // ... 나머지 도로 코드 ...
-  }
+      // 횡단보도 - 교차로로 들어가는 도로 끝마다 얼룩말 줄무늬
+      [[edge.from, trimStart + 1.5], [edge.to, edge.length - trimEnd - 1.5]].forEach(([node, along]) => {
+        if (!network.isIntersection(node)) return;
 
-  addEnvironmentalElements(treeCount = 20) {
-    // 나무 추가 - 최적화된 버전
-    this.addTrees(treeCount);
+        const stripes = Math.floor(edge.width / 0.8);
+        for (let i = 0; i < stripes; i++) {
+          const offset = (i - (stripes - 1) / 2) * 0.8;
+          crosswalkMatrices.push(place(edge, along, offset, 0.025, 2, 0.01, 0.4));
+        }
+      });
+    });
 
-    // 가로등 추가 - 개수 줄임
-    this.addStreetlights(8); // 12개에서 8개로 줄임
+    // 교차로 및 연결점 - 도로 사이 틈을 원형 도로면으로 채움
+    network.nodes.forEach(node => {
+      if (node.edges.length < 2) return;
 
-    // 벤치 추가
-    this.addBenches();
+      const radius = network.junctionRadius(node);
+      position.set(node.x, 0.01, node.z);
+      rotation.identity();
+      scale.set(radius, 0.02, radius);
+      junctionMatrices.push(new THREE.Matrix4().compose(position, rotation, scale));
+    });
+
+    const addInstances = (name, geometry, material, matrices, receiveShadow = true) => {
+      if (matrices.length === 0) return;
+
+      const mesh = new THREE.InstancedMesh(geometry, material, matrices.length);
+      matrices.forEach((matrix, index) => mesh.setMatrixAt(index, matrix));
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.receiveShadow = receiveShadow;
+      mesh.name = name;
+      this.scene.add(mesh);
+    };
 
-    // 분수대 추가
-    this.addFountain();
+    addInstances('roads', boxGeometry, roadMaterial, roadMatrices);
+    addInstances('road-junctions', discGeometry, roadMaterial, junctionMatrices);
+    addInstances('sidewalks', boxGeometry, sidewalkMaterial, sidewalkMatrices);
+    addInstances('curbs', boxGeometry, curbMaterial, curbMatrices);
+    addInstances('road-markings', boxGeometry, markingMaterial, markingMatrices, false);
+    addInstances('crosswalks', boxGeometry, markingMaterial, crosswalkMatrices, false);
+
+    // 날씨에 따라 젖거나 눈에 덮이는 재질
+    this.groundMaterials.push(roadMaterial, sidewalkMaterial);
   }
 
   addTrees(count) {
@@ -536,6 +808,7 @@ export class Portfolio {
       roughness: 0.9,
       metalness: 0.1
     });
+    const random = this.random.fork('trees');
 
     const leavesGeometry = this.getGeometry('cone', 1.5, 4, 8);
     const leavesMaterial = this.getMaterial('standard', {
@@ -544,11 +817,42 @@ export class Portfolio {
       metalness: 0.1
     });
 
-    // 나무 인스턴스 메시 생성
+    // 나무 배치 - 광장 안 고정 위치는 비어 있을 때만, 나머지는 광장 밖 빈 자리에서
+    const grid = this.occupancy;
+    const footprint = 2; // 나뭇잎 지름 정도
+    const positions = [];
+
+    const treePositions = [
+      { x: 10, z: 10 }, { x: -10, z: 10 }, { x: 10, z: -10 }, { x: -10, z: -10 },
+      { x: 20, z: 0 }, { x: -20, z: 0 }, { x: 0, z: 20 }, { x: 0, z: -20 },
+      { x: 25, z: 25 }, { x: -25, z: 25 }, { x: 25, z: -25 }, { x: -25, z: -25 }
+    ];
+
+    treePositions.forEach(pos => {
+      if (positions.length < count && grid.isFree(pos.x, pos.z, footprint, footprint, 0.5, [OccupancyGrid.PLAZA])) {
+        grid.reserveRect(pos.x, pos.z, footprint, footprint, OccupancyGrid.TREE);
+        positions.push(pos);
+      }
+    });
+
+    // 무작위 위치 - 빈 자리를 못 찾으면 그 나무는 건너뜀
+    while (positions.length < count) {
+      const pos = grid.findFreeSpot(random, {
+        minX: -50, maxX: 50, minZ: -50, maxZ: 50,
+        width: footprint, depth: footprint, padding: 0.5,
+        attempts: 30
+      });
+      if (!pos) break;
+
+      grid.reserveRect(pos.x, pos.z, footprint, footprint, OccupancyGrid.TREE);
+      positions.push(pos);
+    }
+
+    // 나무 인스턴스 메시 생성 - 실제로 배치된 개수만큼
     const trunkInstancedMesh = new THREE.InstancedMesh(
       trunkGeometry,
       trunkMaterial,
-      count
+      positions.length
     );
     trunkInstancedMesh.name = 'tree-trunks';
     trunkInstancedMesh.castShadow = true;
@@ -556,57 +860,36 @@ export class Portfolio {
     const leavesInstancedMesh = new THREE.InstancedMesh(
       leavesGeometry,
       leavesMaterial,
-      count
+      positions.length
     );
     leavesInstancedMesh.name = 'tree-leaves';
     leavesInstancedMesh.castShadow = true;
 
-    // 나무 배치
-    const treePositions = [
-      { x: 10, z: 10 }, { x: -10, z: 10 }, { x: 10, z: -10 }, { x: -10, z: -10 },
-      { x: 20, z: 0 }, { x: -20, z: 0 }, { x: 0, z: 20 }, { x: 0, z: -20 },
-      { x: 25, z: 25 }, { x: -25, z: 25 }, { x: 25, z: -25 }, { x: -25, z: -25 }
-    ];
-
     const trunkMatrix = new THREE.Matrix4();
     const leavesMatrix = new THREE.Matrix4();
 
-    // 고정 위치 나무 설정
-    for (let i = 0; i < Math.min(treePositions.length, count); i++) {
-      const pos = treePositions[i];
+    // 나무 기록 - 인스턴스 번호와 위치 (공간 색인/충돌체에서 나무를 찾거나 지울 때 사용)
+    this.trees = [];
 
-      // 트렁크 설정
-      trunkMatrix.makeTranslation(pos.x, 1, pos.z);
-      trunkInstancedMesh.setMatrixAt(i, trunkMatrix);
+    positions.forEach((pos, i) => {
+      const tree = { index: i, x: pos.x, z: pos.z };
+      this.trees.push(tree);
 
-      // 나뭇잎 설정
-      leavesMatrix.makeTranslation(pos.x, 4, pos.z);
-      leavesInstancedMesh.setMatrixAt(i, leavesMatrix);
-    }
-
-    // 무작위 위치 나무 설정
-    for (let i = treePositions.length; i < count; i++) {
-      let x, z;
-      let isValid = false;
-
-      while (!isValid) {
-        x = (Math.random() - 0.5) * 100;
-        z = (Math.random() - 0.5) * 100;
-
-        if (Math.abs(x) < 10 && Math.abs(z) < 10) continue;
-        if (Math.abs(x) < 5 || Math.abs(z) < 5) continue;
-
-        isValid = true;
-      }
+      // 줄기 - 점프로 넘을 수 없도록 높이 제한 없이 막음
+      this.collisions.addCircle(pos.x, pos.z, 0.4, { object: tree });
+      this.spatialIndex.insert(tree, new THREE.Box3(
+        new THREE.Vector3(pos.x - 1.5, 0, pos.z - 1.5),
+        new THREE.Vector3(pos.x + 1.5, 6, pos.z + 1.5)
+      ), 'prop');
 
       // 트렁크 설정
-      trunkMatrix.makeTranslation(x, 1, z);
+      trunkMatrix.makeTranslation(pos.x, 1, pos.z);
       trunkInstancedMesh.setMatrixAt(i, trunkMatrix);
 
       // 나뭇잎 설정
-      leavesMatrix.makeTranslation(x, 4, z);
+      leavesMatrix.makeTranslation(pos.x, 4, pos.z);
       leavesInstancedMesh.setMatrixAt(i, leavesMatrix);
-    }
+    });
 
     trunkInstancedMesh.instanceMatrix.needsUpdate = true;
     leavesInstancedMesh.instanceMatrix.needsUpdate = true;
@@ -633,26 +916,27 @@ export class Portfolio {
 
     // 인스턴스 메시 대신 그룹 사용 (빛이 포함되어 있어서)
     const streetlights = [];
+    this.streetlights = [];
 
-    // 주요 도로를 따라 가로등 배치 - 더 적은 개수
+    // 광장 산책로를 따라 가로등 배치 - 더 적은 개수, 건물과 겹치는 자리는 건너뜀
     const spacing = 40 / count;
-    for (let i = -20; i <= 20; i += spacing) {
-      if (i !== 0 && streetlights.length < count) {
-        streetlights.push(this.createStreetlight(i, 3.5));
-        if (streetlights.length < count) {
-          streetlights.push(this.createStreetlight(i, -3.5));
-        }
-        if (streetlights.length < count) {
-          streetlights.push(this.createStreetlight(3.5, i));
-        }
-        if (streetlights.length < count) {
-          streetlights.push(this.createStreetlight(-3.5, i));
-        }
-      }
+    for (let i = -20; i <= 20 && streetlights.length < count; i += spacing) {
+      if (i === 0) continue;
+
+      [[i, 3.5], [i, -3.5], [3.5, i], [-3.5, i]].forEach(([x, z]) => {
+        if (streetlights.length >= count) return;
+        if (!this.occupancy.isFree(x, z, 0.6, 0.6, 0.5, [OccupancyGrid.PLAZA, OccupancyGrid.SIDEWALK])) return;
+
+        this.occupancy.reserveRect(x, z, 0.6, 0.6, OccupancyGrid.PROP);
+        streetlights.push(this.createStreetlight(x, z));
+      });
     }
 
     // 생성된 가로등을 씬에 추가
-    streetlights.forEach(light => this.scene.add(light));
+    streetlights.forEach(light => {
+      this.scene.add(light);
+      this.spatialIndex.insert(light, light, 'prop');
+    });
   }
 
   createStreetlight(x, z) {
@@ -687,9 +971,11 @@ export class Portfolio {
     const light = new THREE.PointLight(0xffffcc, 1, 12);
     light.position.y = 4.9;
     streetlight.add(light);
+    this.streetlights.push(light); // 해 질 녘에 켜짐 (DayNightCycle)
 
     // 가로등 위치
     streetlight.position.set(x, 0, z);
+    this.collisions.addCircle(x, z, 0.2, { object: streetlight });
 
     return streetlight;
   }
@@ -722,8 +1008,10 @@ export class Portfolio {
     ];
 
     benchPositions.forEach(pos => {
+      this.occupancy.reserveRect(pos.x, pos.z, 2, 0.6, OccupancyGrid.PROP, 0.5, pos.rotation);
       const bench = this.createBench(seatGeometry, backGeometry, legGeometry, seatMaterial, legMaterial, pos.x, pos.z, pos.rotation);
       this.scene.add(bench);
+      this.spatialIndex.insert(bench, bench, 'prop');
     });
   }
 
@@ -755,133 +1043,64 @@ export class Portfolio {
     // 벤치 위치 및 회전 설정
     bench.position.set(x, 0, z);
     bench.rotation.y = rotation;
+    this.collisions.addBox(x, z, 2, 0.6, { rotation, top: 1.1, object: bench });
 
     return bench;
   }
 
-  addFountain() {
-    // 중앙 분수대 - 공유 지오메트리 및 재질 사용
-    const fountain = new THREE.Group();
-    fountain.name = 'central-fountain';
-
-    // 분수대 베이스
-    const baseGeometry = this.getGeometry('cylinder', 4, 4.5, 0.5, 24); // 세그먼트 줄임
-    const baseMaterial = this.getMaterial('standard', {
-      color: 0xaaaaaa,
-      roughness: 0.7,
-      metalness: 0.3
-    });
-
-    const base = new THREE.Mesh(baseGeometry, baseMaterial);
-    base.position.y = 0.25;
-    base.castShadow = true;
-    fountain.add(base);
-
-    // 물 부분
-    const waterGeometry = this.getGeometry('cylinder', 3.5, 3.5, 0.2, 24);
-    const waterMaterial = this.getMaterial('standard', {
-      color: 0x7ea8c4,
-      roughness: 0.2,
-      metalness: 0.8,
-      transparent: true,
-      opacity: 0.7
+  // 분수대 - 도시 어디에나 배치 가능 (콘텐츠 파일의 fountains 목록)
+  addFountain({ x = 0, z = 0, radius = 4 } = {}) {
+    const fountain = new Fountain({
+      posX: x,
+      posZ: z,
+      radius,
+      density: this.quality === 'low' ? 0.5 : 1,
+      random: this.random.fork(`fountain:${this.fountains.length}`)
     });
 
-    const water = new THREE.Mesh(waterGeometry, waterMaterial);
-    water.position.y = 0.5;
-    fountain.add(water);
-
-    // 중앙 기둥
-    const pillarGeometry = this.getGeometry('cylinder', 0.5, 0.7, 1.5, 12);
-    const pillar = new THREE.Mesh(pillarGeometry, baseMaterial);
-    pillar.position.y = 1.25;
-    pillar.castShadow = true;
-    fountain.add(pillar);
-
-    // 위쪽 작은 베이스
-    const topBaseGeometry = this.getGeometry('cylinder', 1, 1.2, 0.3, 12);
-    const topBase = new THREE.Mesh(topBaseGeometry, baseMaterial);
-    topBase.position.y = 2.15;
-    topBase.castShadow = true;
-    fountain.add(topBase);
-
-    // 작은 분수 효과 - 개수 줄임
-    const sprayCount = 8; // 16에서 8로 줄임
-    const sprayGeometry = this.getGeometry('cylinder', 0.05, 0.02, 1, 4); // 세그먼트 줄임
-
-    for (let i = 0; i < sprayCount; i++) {
-      const angle = (i / sprayCount) * Math.PI * 2;
-      const spray = new THREE.Mesh(sprayGeometry, waterMaterial);
-
-      spray.position.y = 2.5;
-      spray.position.x = Math.sin(angle) * 0.5;
-      spray.position.z = Math.cos(angle) * 0.5;
-
-      spray.rotation.x = Math.PI / 3;
-      spray.rotation.z = angle;
-
-      fountain.add(spray);
-    }
-
-    fountain.position.set(0, 0, 0);
-    this.scene.add(fountain);
-
-    // 분수 애니메이션
-    this.fountain = fountain;
+    this.scene.add(fountain.mesh);
+    this.fountains.push(fountain);
+    this.spatialIndex.insert(fountain, fountain.mesh, 'prop');
+    this.occupancy.reserveCircle(x, z, radius + 0.5, OccupancyGrid.PROP);
+    // 수반은 낮지만 점프로 넘어 물에 들어가지 않도록 높이 제한 없이 막음
+    this.collisions.addCircle(x, z, radius + 0.5, { object: fountain.mesh });
+    return fountain;
   }
 
   addResidentialDistrict(buildingCount = 20) {
-    // Scandinavian colors for residential buildings
-    const buildingColors = [
-      0xf5b971, // Orange beige
-      0xd6a2ad, // Rose pink
-      0x7ea8c4, // Pastel blue
-      0x8fb9aa, // Sage green
-      0xefd9ca  // Light peach
-    ];
+    // Scandinavian colors for residential buildings (콘텐츠 파일 팔레트)
+    const buildingColors = this.content.residential.colors;
+    const random = this.random.fork('residential');
 
-    // 건물 배치를 위한 복합적인 법칙 - 성능을 위해 한 번에 결정
+    // 후보 위치 - 약간 흔들린 격자점
     const positions = [];
     const gridSize = 10;
     const gridCells = 12;
 
-    // 미리 그리드 생성
     for (let x = -gridCells / 2; x < gridCells / 2; x++) {
       for (let z = -gridCells / 2; z < gridCells / 2; z++) {
-        const posX = x * gridSize + (Math.random() - 0.5) * 5;
-        const posZ = z * gridSize + (Math.random() - 0.5) * 5;
-
-        // 메인 도로 및 중요 건물 주변 제외
-        if ((Math.abs(posX) < 10 && Math.abs(posZ) < 20) ||
-          (Math.abs(posZ) < 10 && Math.abs(posX) < 20) ||
-          (Math.abs(posX) < 12 && Math.abs(posZ) < 12) ||
-          (Math.abs(posX - 16) < 8 && Math.abs(posZ - 16) < 8) ||
-          (Math.abs(posX + 16) < 8 && Math.abs(posZ - 16) < 8) ||
-          (Math.abs(posX - 16) < 8 && Math.abs(posZ + 16) < 8) ||
-          (Math.abs(posX + 16) < 8 && Math.abs(posZ + 16) < 8) ||
-          (Math.abs(posX) < 8 && Math.abs(posZ + 24) < 8)) {
-          continue;
-        }
-
-        positions.push({ x: posX, z: posZ });
+        positions.push({
+          x: x * gridSize + random.range(-2.5, 2.5),
+          z: z * gridSize + random.range(-2.5, 2.5)
+        });
       }
     }
 
-    // 무작위로 건물 위치 선택
-    const selectedPositions = [];
-    while (selectedPositions.length < buildingCount && positions.length > 0) {
-      const index = Math.floor(Math.random() * positions.length);
-      selectedPositions.push(positions[index]);
+    // 무작위 순서로 후보를 꺼내, 점유 격자에서 빈 자리일 때만 건물 생성
+    const buildings = [];
+    while (buildings.length < buildingCount && positions.length > 0) {
+      const index = random.int(positions.length);
+      const pos = positions[index];
       positions.splice(index, 1);
-    }
 
-    // 건물 생성
-    selectedPositions.forEach(pos => {
       // Randomize building properties - 사이즈는 유사하게 유지
-      const height = 2 + Math.random() * 8;
-      const width = 2 + Math.random() * 4;
-      const depth = 2 + Math.random() * 4;
-      const colorIndex = Math.floor(Math.random() * buildingColors.length);
+      const height = random.range(2, 10);
+      const width = random.range(2, 6);
+      const depth = random.range(2, 6);
+
+      // 도로, 광장, 랜드마크, 소품, 다른 건물과 1.5 이상 떨어진 자리만
+      if (!this.occupancy.isFree(pos.x, pos.z, width, depth, 1.5)) continue;
+      this.occupancy.reserveRect(pos.x, pos.z, width, depth, OccupancyGrid.BUILDING);
 
       // Create residential building
       const building = this.addBuilding({
@@ -890,30 +1109,37 @@ export class Portfolio {
         width: width,
         height: height,
         depth: depth,
-        color: buildingColors[colorIndex],
+        color: random.pick(buildingColors),
         type: 'standard',
         castShadow: false, // 주변 건물은 그림자 비활성화
-        info: {
-          title: "Residential Building",
-          description: "A modern residential building in the city skyline."
-        }
+        info: { ...this.content.residential.info }
       });
 
-      // Maybe add a roof (70% chance)
-      if (Math.random() > 0.3) {
+      // Maybe add a roof (70% chance) - 지붕까지 포함하도록 경계 상자 갱신
+      if (random.chance(0.7)) {
         building.addRoof();
+        this.spatialIndex.refresh(building, building.mesh);
       }
-    });
+      buildings.push(building);
+    }
+    return buildings;
   }
 
   addBuilding(options) {
-    // Building 인스턴스에 공유 지오메트리/머티리얼 캐시 전달
+    // Building 인스턴스에 공유 지오메트리/머티리얼 캐시 및 텍스처 로더 전달
     options.geometryCache = this.geometryCache;
     options.materialCache = this.materialCache;
+    options.textureLoader = this.textureLoader;
+    // 상세도 전환 거리 - 품질 설정에 따라
+    options.lodDistances = Building.LOD_DISTANCES[this.quality];
+    // 건물마다 독립된 난수 스트림 - 생성 순서로 시드 결정
+    options.random = options.random || this.random.fork(`building:${this.buildings.length}`);
 
     const building = new Building(options);
     this.scene.add(building.mesh);
     this.buildings.push(building);
+    this.spatialIndex.insert(building, building.mesh, 'building');
+    this.collisions.addObject(building.mesh, { owner: building });
     return building;
   }
 
@@ -927,7 +1153,16 @@ export class Portfolio {
     this.renderer.setPixelRatio(pixelRatio);
   }
 
+  onPointerDown(event) {
+    this.pointerDownPosition.set(event.clientX, event.clientY);
+  }
+
   onMouseClick(event) {
+    // 오비트 카메라를 끈 뒤의 클릭은 무시 (걷기 모드는 MouseLook이 같은 기준으로 가로챔)
+    const dragDistance = Math.abs(event.clientX - this.pointerDownPosition.x) +
+      Math.abs(event.clientY - this.pointerDownPosition.y);
+    if (!this.characterMode && dragDistance > MouseLook.DRAG_THRESHOLD) return;
+
     // Calculate mouse position in normalized device coordinates
     this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     this.mouse.y = - (event.clientY / window.innerHeight) * 2 + 1;
@@ -935,32 +1170,49 @@ export class Portfolio {
     // Set raycaster
     this.raycaster.setFromCamera(this.mouse, this.camera);
 
-    // Find intersections with buildings
-    const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+    // Find the clicked building
+    const building = this.pickBuilding(this.raycaster);
 
-    let buildingClicked = false;
-
-    for (let i = 0; i < intersects.length; i++) {
-      // Traverse up to find a mesh with userData.building
-      let object = intersects[i].object;
-      while (object && !object.userData.building) {
-        object = object.parent;
-      }
+    // If no building was clicked, hide the info panel
+    if (!building) {
+      this.infoPanel.hideBuildingInfo();
+      return;
+    }
 
-      if (object && object.userData.building) {
-        // Show building information
-        this.infoPanel.showBuildingInfo(object.userData.building);
-        buildingClicked = true;
-        break;
-      }
+    // 전경 모드에서는 캐릭터를 건물 앞으로 이동 (선택 사항)
+    if (!this.characterMode && this.character && this.content.exploration.dropCharacterOnClick) {
+      this.dropCharacterAt(building);
     }
 
-    // If no building was clicked, hide the info panel
-    if (!buildingClicked) {
-      this.infoPanel.hideBuildingInfo();
+    // Show building information
+    this.infoPanel.showBuildingInfo(building);
+  }
+
+  // 광선에 처음 맞는 건물 - 공간 색인의 경계 상자로 후보를 추린 뒤 가까운 건물부터 메시 검사
+  // 정적 배치에 합쳐진 건물은 교차점의 건물 번호로 실제 건물을 찾음
+  pickBuilding(raycaster) {
+    const hit = this.spatialIndex.intersect(raycaster, 'building', building => building.raycastTarget);
+    if (!hit) return null;
+    return hit.item.batch ? hit.item.batch.getBuilding(hit.intersection) : hit.item;
+  }
+
+  // 캐릭터를 조작하지 않는 프레임 - 프롬프트 숨기고 시점/점프 입력 버림
+  idleFrame() {
+    if (this.proximity) this.proximity.hidePrompt();
+    if (this.mouseLook) this.mouseLook.exitPointerLock();
+    if (this.input) {
+      this.input.consumeLook();
+      this.input.consumeZoom();
+      this.input.consumeJump();
     }
   }
 
+  // 캐릭터를 건물 정면(+z 방향) 앞에 배치
+  dropCharacterAt(building) {
+    const position = building.mesh.position;
+    this.character.teleport(position.x, position.z + building.depth / 2 + 2, position.x, position.z);
+  }
+
   // 뷰 프러스텀 계산 (카메라에 보이는 객체 판단)
   updateFrustum() {
     this.projScreenMatrix.multiplyMatrices(
@@ -972,104 +1224,184 @@ export class Portfolio {
 
 
   animate() {
-    requestAnimationFrame(this.animate);
+    this.animationFrameId = requestAnimationFrame(this.animate);
 
     const delta = this.clock.getDelta();
     const time = this.clock.getElapsedTime(); // 이 줄 추가
 
-    // 프러스텀 업데이트
+    // 프러스텀 업데이트 - 화면 안의 건물과 소품을 공간 색인에서 찾음
     this.updateFrustum();
+    this.inView.clear();
+    this.spatialIndex.queryFrustum(this.frustum).forEach(item => this.inView.add(item));
 
-    // 캐릭터 모드일 때 캐릭터 업데이트
-    if (this.characterMode && this.character) {
-      this.character.update(delta, this.buildings);
-      this.updateMinimap();
-    } else {
-      // 기존 카메라 컨트롤 업데이트
-      this.controls.update();
-    }
+    // 시간대 조명 갱신
+    if (this.dayNight) this.dayNight.update(delta);
+    if (this.weather) this.weather.update(delta);
 
-    // 가시성 기반 객체 업데이트 - 안전하게 처리
-    this.buildings.forEach(building => {
-      if (!building || !building.mesh) return;
-
-      // 중요 건물이거나 화면에 보이는 경우에만 업데이트
-      try {
-        // 컴퓨팅 비용이 높은 작업 전에 간단한 검사 먼저 수행
-        const distance = building.mesh.position.distanceTo(this.camera.position);
+    // 자동차와 보행자 - 플레이어 캐릭터를 피함
+    if (this.ambient) {
+      const player = this.character ? (this.character.model || this.character.tempModel) : null;
+      this.ambient.update(delta, player ? player.position : null);
+    }
 
-        // 너무 멀리 있으면 건너뛰기
-        if (distance > 150) return;
+    // 입력 상태 갱신 (키보드, 조이스틱, 게임패드)
+    if (this.input) this.input.update(delta);
 
-        // 중요 건물이거나 가시 범위 내에 있는 경우에만 업데이트
-        if (this.visibleBuildings.has(building) ||
-          this.isInViewFrustum(building.mesh)) {
-          building.update && building.update(time, this.camera);
-        }
-      } catch (e) {
-        console.warn("Building update error:", e);
+    // 가이드 투어 중 - 이동 입력이 있으면 투어를 취소하고 캐릭터로 복귀
+    if (this.tour && this.tour.active) {
+      if (this.input.hasMovementInput()) {
+        this.tour.stop(false);
+      } else {
+        this.tour.update(delta);
       }
-    });
+      this.idleFrame();
+    } else if (this.modes && this.modes.update(delta)) {
+      // 모드 전환 비행 중에는 캐릭터/오비트 조작 중지
+      this.characterMode = false;
+      this.idleFrame();
+    } else if (this.characterMode && this.character) {
+      // 캐릭터 모드일 때 캐릭터 업데이트
+      this.character.update(delta);
+      this.updateProximity();
+    } else {
+      // 전경 모드 - 오비트 카메라 컨트롤 업데이트
+      this.controls.update();
+      this.idleFrame();
+    }
 
-    // 분수대 애니메이션 - 간소화 및 안전 확인
-    if (this.fountain && this.fountain.children) {
-      for (let i = 6; i < this.fountain.children.length; i += 2) {
-        if (i < this.fountain.children.length) {
-          const child = this.fountain.children[i];
-          child.position.y = 2.5 + Math.sin(time * 2 + i * 0.3) * 0.1;
-          child.scale.y = 1 + Math.sin(time * 3 + i * 0.2) * 0.2;
-        }
+    // 미니맵은 모드와 관계없이 갱신 (클릭 이동은 모든 모드에서 동작)
+    this.updateMinimap();
+
+    // 마우스 오버 - 카메라가 움직이면 다시 검사, 투어와 모드 전환 비행 중에는 해제
+    const flying = (this.tour && this.tour.active) || (this.modes && this.modes.isTransitioning);
+    if (this.hover) this.hover.update(!flying);
+
+    // 중요 건물은 항상, 나머지는 화면 안(inView)에 있을 때만 업데이트
+    // 분수대 물줄기와 수면도 화면 밖이면 멈춰 둠
+    this.visibleBuildings.forEach(building => building.update(time, this.camera));
+    this.inView.forEach(item => {
+      if (item instanceof Building) {
+        if (!this.visibleBuildings.has(item)) item.update(time, this.camera);
+      } else if (item instanceof Fountain) {
+        item.update(delta);
       }
-    }
+    });
 
-    // Update controls
-    this.controls.update();
+    // 주거 지역 배치의 상세도 단계 - 카메라 거리로 건물마다 전환
+    if (this.residentialBatch) this.residentialBatch.update(this.camera);
 
     // Render scene
     this.renderer.render(this.scene, this.camera);
   }
 
-  // 프러스텀 컬링을 위한 안전한 헬퍼 메서드
-  isInViewFrustum(object) {
-    if (!object || !object.geometry) return false;
-
-    // 경계 구가 없으면 계산 시도
-    if (!object.geometry.boundingSphere) {
-      try {
-        object.geometry.computeBoundingSphere();
-      } catch (e) {
-        return true; // 오류가 발생하면 그냥 표시
-      }
-    }
-
-    // 경계 구가 여전히 없으면 그냥 표시
-    if (!object.geometry.boundingSphere) {
-      return true;
-    }
-
-    // 실제 프러스텀 계산
-    return this.frustum.intersectsObject(object);
-  }
-
   // 리소스 정리
   dispose() {
+    // 애니메이션 루프 중지
+    cancelAnimationFrame(this.animationFrameId);
+
     // 이벤트 리스너 제거
+    window.removeEventListener('pointerdown', this.onPointerDown);
     window.removeEventListener('click', this.onMouseClick);
 
     // 객체 정리
     this.buildings.forEach(building => {
       building.dispose && building.dispose();
     });
+    if (this.residentialBatch) {
+      this.residentialBatch.dispose();
+      this.residentialBatch = null;
+    }
     if (this.character) {
       this.character.dispose();
       this.character = null;
     }
+    this.fountains.forEach(fountain => fountain.dispose());
+    this.fountains = [];
+    this.trees = [];
+    if (this.collisions) {
+      this.collisions.dispose();
+      this.collisions = null;
+    }
+    if (this.spatialIndex) {
+      this.spatialIndex.clear();
+      this.spatialIndex = null;
+    }
+    this.inView.clear();
+
+    // 마우스 오버 정리
+    if (this.hover) {
+      this.hover.dispose();
+      this.hover = null;
+    }
+
+    // 하루 주기 및 날씨 정리
+    if (this.dayNight) {
+      this.dayNight.dispose();
+      this.dayNight = null;
+    }
+    if (this.weather) {
+      this.weather.dispose();
+      this.weather = null;
+    }
+
+    // 음향 정리
+    if (this.audio) {
+      this.audio.dispose();
+      this.audio = null;
+    }
+
+    // 자동차와 보행자 정리
+    if (this.ambient) {
+      this.ambient.dispose();
+      this.ambient = null;
+    }
+
+    // 라우터 정리
+    if (this.router) {
+      this.router.dispose();
+      this.router = null;
+    }
+    if (this.controls) {
+      this.controls.removeEventListener('end', this.onControlsEnd);
+    }
+
+    // 가이드 투어 및 탐색 모드 컨트롤러 정리
+    if (this.tour) {
+      this.tour.dispose();
+      this.tour = null;
+    }
+    if (this.modes) {
+      this.modes.dispose();
+      this.modes = null;
+    }
+
+    // 모바일/마우스 컨트롤 및 근접 상호작용 정리
+    if (this.mobileControls) {
+      this.mobileControls.dispose();
+      this.mobileControls = null;
+    }
+    if (this.mouseLook) {
+      this.mouseLook.dispose();
+      this.mouseLook = null;
+    }
+    if (this.proximity) {
+      this.proximity.dispose();
+      this.proximity = null;
+    }
+    if (this.input) {
+      this.input.dispose();
+      this.input = null;
+    }
+
+    // 정보 패널 제거
+    if (this.infoPanel) {
+      this.infoPanel.dispose();
+      this.infoPanel = null;
+    }
 
     // 미니맵 제거
     if (this.minimap) {
-      if (this.minimap.container && this.minimap.container.parentNode) {
-        this.minimap.container.parentNode.removeChild(this.minimap.container);
-      }
+      this.minimap.dispose();
       this.minimap = null;
     }
 
@@ -0,0 +1,165 @@
+// PortfolioContent.js
+import { FileLoader } from 'three';
+
+// 포트폴리오 콘텐츠 파일(assets/data/portfolio.json) 로더
+// 건물 배치와 소개 텍스트는 모두 이 파일에서 관리 - 렌더링 코드 수정 없이 내용 갱신
+export class PortfolioContent {
+  // 지원하는 콘텐츠 파일 버전
+  static VERSION = 1;
+
+  // 공유 로딩 매니저를 거쳐 로드 (로딩 진행률에 포함)
+  static async load(url, loadingManager) {
+    const loader = new FileLoader(loadingManager);
+    loader.setResponseType('json');
+
+    const data = await loader.loadAsync(url);
+    return new PortfolioContent(data);
+  }
+
+  constructor(data) {
+    if (!data || data.version !== PortfolioContent.VERSION) {
+      throw new Error(`Unsupported portfolio content version: ${data && data.version}`);
+    }
+
+    this.version = data.version;
+
+    // 도시 생성 시드 - 같은 시드는 항상 같은 배치 (URL ?seed= 로 덮어쓰기 가능)
+    this.seed = data.seed ?? 1;
+
+    // 품질 설정 - 'auto' | 'low' | 'medium' | 'high' (URL ?quality= 로 덮어쓰기 가능)
+    this.quality = data.quality || 'auto';
+
+    // 건물별 상세 정보가 없을 때 사용하는 기본값
+    const defaults = data.defaults || {};
+    this.defaults = {
+      experience: defaults.experience || '',
+      projects: defaults.projects || [],
+      skills: defaults.skills || []
+    };
+
+    // 도로망 (RoadNetwork 입력) - 노드, 간선, 순환 도로
+    const roads = data.roads || {};
+    this.roads = {
+      width: roads.width ?? 6,
+      sidewalkWidth: roads.sidewalkWidth ?? 2,
+      nodes: roads.nodes || [],
+      edges: roads.edges || [],
+      rings: roads.rings || []
+    };
+
+    // 주거 지역 설정
+    const residential = data.residential || {};
+    this.residential = {
+      count: residential.count ?? 20,
+      colors: (residential.colors || ['#f5b971']).map(color => this.parseColor(color)),
+      info: {
+        title: residential.title || 'Residential Building',
+        category: residential.category || '',
+        description: residential.overview || ''
+      }
+    };
+
+    // 근접 상호작용 설정
+    const interaction = data.interaction || {};
+    this.interaction = {
+      radius: interaction.radius ?? 8
+    };
+
+    // 탐색 모드 설정
+    const exploration = data.exploration || {};
+    this.exploration = {
+      // 전경 모드에서 건물을 클릭하면 캐릭터를 그 건물 앞으로 이동
+      dropCharacterOnClick: exploration.dropCharacterOnClick ?? true
+    };
+
+    // 가이드 투어 설정 - 방문 순서는 건물 id 목록
+    const tour = data.tour || {};
+    this.tour = {
+      order: tour.order || (data.buildings || []).map(entry => entry.id),
+      dwellTime: tour.dwellTime ?? 8,
+      flightDuration: tour.flightDuration ?? 3
+    };
+
+    // 하루 주기 설정 - mode: 'live'(현재 시각) | 'fast'(빨라진 시계) | 'manual'(고정)
+    const dayNight = data.dayNight || {};
+    this.dayNight = {
+      mode: dayNight.mode || 'live',
+      startTime: dayNight.startTime ?? 12,
+      dayLength: dayNight.dayLength ?? 600
+    };
+
+    // 날씨 설정 - preset: 'clear' | 'rain' | 'snow' | 'fog' (URL ?weather= 로 덮어쓰기 가능)
+    const weather = data.weather || {};
+    this.weather = {
+      preset: weather.preset || 'clear',
+      transition: weather.transition ?? 3
+    };
+
+    // 배경 움직임 설정 - 자동차/보행자 수는 high 품질 기준 (품질이 낮으면 줄어듦)
+    const ambient = data.ambient || {};
+    this.ambient = {
+      cars: ambient.cars ?? 24,
+      pedestrians: ambient.pedestrians ?? 30,
+      carSpeed: ambient.carSpeed ?? 8,
+      pedestrianSpeed: ambient.pedestrianSpeed ?? 1.4,
+      stopTime: ambient.stopTime ?? 1.5
+    };
+
+    // 음향 설정 - volume/muted는 방문자가 바꾸면 저장된 값이 우선
+    const audio = data.audio || {};
+    this.audio = {
+      volume: audio.volume ?? 0.6,
+      muted: audio.muted ?? false,
+      trafficSources: audio.trafficSources ?? 4 // 소리를 내는 자동차 수
+    };
+
+    // 분수대 위치와 수반 반지름
+    this.fountains = (data.fountains || []).map(fountain => ({
+      x: (fountain.position || {}).x || 0,
+      z: (fountain.position || {}).z || 0,
+      radius: fountain.radius ?? 4
+    }));
+
+    // 포트폴리오 건물 - Building 생성자 옵션 형태로 변환
+    this.buildings = (data.buildings || []).map(entry => this.toBuildingOptions(entry));
+  }
+
+  toBuildingOptions(entry) {
+    const position = entry.position || {};
+    const size = entry.size || {};
+
+    return {
+      id: entry.id,
+      type: entry.type || 'standard',
+      posX: position.x || 0,
+      posZ: position.z || 0,
+      width: size.width,
+      height: size.height,
+      depth: size.depth,
+      color: this.parseColor(entry.color),
+      castShadow: !!entry.castShadow,
+      logoTexture: entry.logo || null,
+      info: {
+        id: entry.id,
+        title: entry.title,
+        category: entry.category || '',
+        description: entry.overview || '',
+        experience: entry.experience,
+        projects: entry.projects,
+        skills: entry.skills
+      }
+    };
+  }
+
+  // id로 건물 옵션 찾기
+  getBuilding(id) {
+    return this.buildings.find(building => building.id === id) || null;
+  }
+
+  // '#rrggbb' 문자열을 Building이 사용하는 숫자 색상으로 변환
+  parseColor(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') return parseInt(value.replace('#', ''), 16);
+    return undefined;
+  }
+}
@@ -0,0 +1,126 @@
+// ProximityInteraction.js
+import * as THREE from 'three';
+
+// 근접 상호작용 - 캐릭터 주변의 가장 가까운 포트폴리오 건물을 찾아 "Press E" 프롬프트 표시
+export class ProximityInteraction {
+  constructor(camera, infoPanel, spatialIndex, options = {}) {
+    const {
+      radius = 8,        // 건물 외벽으로부터의 상호작용 거리
+      closeFactor = 1.5, // radius * closeFactor 이상 멀어지면 패널 닫기
+      promptHeight = 2.5 // 프롬프트 표시 높이
+    } = options;
+
+    this.camera = camera;
+    this.infoPanel = infoPanel;
+    this.spatialIndex = spatialIndex;
+    this.radius = radius;
+    this.closeFactor = closeFactor;
+    this.promptHeight = promptHeight;
+
+    // 현재 가장 가까운 건물과 상호작용으로 연 건물
+    this.nearestBuilding = null;
+    this.openedBuilding = null;
+
+    // 재사용 벡터
+    this.anchor = new THREE.Vector3();
+    this.projected = new THREE.Vector3();
+
+    this.createPrompt();
+  }
+
+  createPrompt() {
+    this.prompt = document.createElement('div');
+    this.prompt.className = 'interaction-prompt';
+    this.prompt.innerHTML = `Press <span class="interaction-key">E</span>`;
+    document.body.appendChild(this.prompt);
+  }
+
+  // 건물 외벽(바닥 사각형)까지의 수평 거리
+  distanceToBuilding(position, building) {
+    const center = building.mesh.position;
+    const dx = Math.max(Math.abs(position.x - center.x) - building.width / 2, 0);
+    const dz = Math.max(Math.abs(position.z - center.z) - building.depth / 2, 0);
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  // 반경 내에서 가장 가까운 포트폴리오 건물 (주거 건물은 id가 없어 제외)
+  findNearestBuilding(position, maxDistance) {
+    return this.spatialIndex.nearest(position.x, position.z, maxDistance, 'building', building => building.id);
+  }
+
+  update(position) {
+    this.nearestBuilding = this.findNearestBuilding(position, this.radius);
+
+    // 상호작용으로 연 패널은 충분히 멀어지면 닫기
+    if (this.openedBuilding) {
+      if (this.infoPanel.selectedBuilding !== this.openedBuilding) {
+        // 다른 방법(클릭, 닫기 버튼)으로 패널이 바뀐 경우 추적 중지
+        this.openedBuilding = null;
+      } else if (this.distanceToBuilding(position, this.openedBuilding) > this.radius * this.closeFactor) {
+        this.infoPanel.hideBuildingInfo();
+        this.openedBuilding = null;
+      }
+    }
+
+    this.updatePrompt(position);
+  }
+
+  updatePrompt(position) {
+    const building = this.nearestBuilding;
+
+    // 이미 패널이 열린 건물에는 프롬프트 숨김
+    if (!building || this.infoPanel.selectedBuilding === building) {
+      this.prompt.classList.remove('visible');
+      return;
+    }
+
+    // 캐릭터에 가장 가까운 외벽 지점 위에 프롬프트 배치
+    const center = building.mesh.position;
+    this.anchor.set(
+      THREE.MathUtils.clamp(position.x, center.x - building.width / 2, center.x + building.width / 2),
+      this.promptHeight,
+      THREE.MathUtils.clamp(position.z, center.z - building.depth / 2, center.z + building.depth / 2)
+    );
+
+    this.projected.copy(this.anchor).project(this.camera);
+
+    // 카메라 뒤쪽이면 숨김
+    if (this.projected.z > 1) {
+      this.prompt.classList.remove('visible');
+      return;
+    }
+
+    const x = (this.projected.x * 0.5 + 0.5) * window.innerWidth;
+    const y = (-this.projected.y * 0.5 + 0.5) * window.innerHeight;
+    this.prompt.style.left = `${x}px`;
+    this.prompt.style.top = `${y}px`;
+    this.prompt.classList.add('visible');
+  }
+
+  // 전경 모드 등 캐릭터를 조작하지 않을 때 프롬프트 숨김
+  hidePrompt() {
+    this.nearestBuilding = null;
+    this.prompt.classList.remove('visible');
+  }
+
+  // E 키 또는 상호작용 버튼
+  interact() {
+    if (!this.nearestBuilding) return false;
+
+    this.infoPanel.showBuildingInfo(this.nearestBuilding);
+    this.openedBuilding = this.nearestBuilding;
+    this.prompt.classList.remove('visible');
+    return true;
+  }
+
+  dispose() {
+    if (this.prompt && this.prompt.parentNode) {
+      this.prompt.parentNode.removeChild(this.prompt);
+    }
+
+    this.prompt = null;
+    this.spatialIndex = null;
+    this.nearestBuilding = null;
+    this.openedBuilding = null;
+  }
+}
@@ -0,0 +1,145 @@
+// RoadNetwork.js
+// 도로 그래프 - 노드(교차점)와 간선(도로 구간, 폭 포함)으로 도시 도로망을 선언적으로 정의
+// 메시 생성(Portfolio.addRoads)과 건물/나무 배치, 교통 경로 계산에서 같은 그래프를 조회
+export class RoadNetwork {
+  // data: { width, sidewalkWidth, nodes: [{ id, x, z }], edges: [{ from, to, width }],
+  //         rings: [{ id, center: { x, z }, radius, segments, width }] }
+  constructor(data = {}) {
+    this.defaultWidth = data.width ?? 6;
+    this.sidewalkWidth = data.sidewalkWidth ?? 2;
+
+    this.nodes = new Map();
+    this.edges = [];
+
+    (data.nodes || []).forEach(node => this.addNode(node.id, node.x, node.z));
+
+    // 순환 도로 - 원 위의 노드 'id:0' ~ 'id:(segments-1)' 을 차례로 연결 (0번은 +x 방향)
+    (data.rings || []).forEach(ring => this.addRing(ring));
+
+    (data.edges || []).forEach(edge => this.addEdge(edge.from, edge.to, edge.width));
+  }
+
+  addNode(id, x, z) {
+    const node = { id, x, z, edges: [] };
+    this.nodes.set(id, node);
+    return node;
+  }
+
+  addRing({ id, center = { x: 0, z: 0 }, radius, segments = 16, width }) {
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      this.addNode(`${id}:${i}`, center.x + Math.cos(angle) * radius, center.z + Math.sin(angle) * radius);
+    }
+    for (let i = 0; i < segments; i++) {
+      this.addEdge(`${id}:${i}`, `${id}:${(i + 1) % segments}`, width);
+    }
+  }
+
+  addEdge(fromId, toId, width = this.defaultWidth) {
+    const from = this.nodes.get(fromId);
+    const to = this.nodes.get(toId);
+    if (!from || !to) {
+      throw new Error(`Road edge references unknown node: ${fromId} -> ${toId}`);
+    }
+
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const length = Math.hypot(dx, dz);
+
+    const edge = {
+      id: `${fromId}-${toId}`,
+      from,
+      to,
+      width,
+      length,
+      direction: { x: dx / length, z: dz / length },
+      // Y축 회전각 - 로컬 +x 축이 도로 방향을 향함
+      angle: Math.atan2(-dz, dx)
+    };
+
+    this.edges.push(edge);
+    from.edges.push(edge);
+    to.edges.push(edge);
+    return edge;
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  // 간선의 반대편 노드
+  getOtherNode(edge, node) {
+    return edge.from === node ? edge.to : edge.from;
+  }
+
+  // 노드에 연결된 이웃 노드
+  getNeighbors(node) {
+    return node.edges.map(edge => this.getOtherNode(edge, node));
+  }
+
+  // 세 갈래 이상 만나는 노드 - 횡단보도 생성 위치
+  isIntersection(node) {
+    return node.edges.length >= 3;
+  }
+
+  // 교차점에서 도로 면이 차지하는 반경 (연결된 가장 넓은 도로 기준)
+  junctionRadius(node) {
+    return node.edges.reduce((radius, edge) => Math.max(radius, edge.width / 2), 0);
+  }
+
+  // 간선 위 지점 - t: 0(from) ~ 1(to), offset: 진행 방향에 수직인 (-dz, dx) 방향 거리
+  pointAlong(edge, t, offset = 0) {
+    return {
+      x: edge.from.x + edge.direction.x * edge.length * t - edge.direction.z * offset,
+      z: edge.from.z + edge.direction.z * edge.length * t + edge.direction.x * offset
+    };
+  }
+
+  // 간선 중심선에서 가장 가까운 점
+  nearestPointOnEdge(edge, x, z) {
+    const px = x - edge.from.x;
+    const pz = z - edge.from.z;
+    const along = Math.max(0, Math.min(edge.length, px * edge.direction.x + pz * edge.direction.z));
+
+    const nx = edge.from.x + edge.direction.x * along;
+    const nz = edge.from.z + edge.direction.z * along;
+
+    return { x: nx, z: nz, t: along / edge.length, distance: Math.hypot(x - nx, z - nz) };
+  }
+
+  // 가장 가까운 도로 - { edge, x, z, t, distance } (도로가 없으면 null)
+  nearest(x, z) {
+    let best = null;
+
+    this.edges.forEach(edge => {
+      const point = this.nearestPointOnEdge(edge, x, z);
+      if (!best || point.distance - edge.width / 2 < best.distance - best.edge.width / 2) {
+        best = { edge, ...point };
+      }
+    });
+
+    return best;
+  }
+
+  // 도로 가장자리까지의 거리 (도로 위면 음수)
+  distanceToRoad(x, z) {
+    const nearest = this.nearest(x, z);
+    return nearest ? nearest.distance - nearest.edge.width / 2 : Infinity;
+  }
+
+  // 도로(margin을 주면 인도 등 여유 포함) 위에 있는지
+  isOnRoad(x, z, margin = 0) {
+    return this.distanceToRoad(x, z) < margin;
+  }
+
+  // 미니맵 등에서 쓰는 선분 목록
+  getSegments() {
+    return this.edges.map(edge => ({
+      x1: edge.from.x,
+      z1: edge.from.z,
+      x2: edge.to.x,
+      z2: edge.to.z,
+      width: edge.width
+    }));
+  }
+}
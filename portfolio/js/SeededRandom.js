@@ -0,0 +1,60 @@
+// SeededRandom.js
+// 시드 기반 의사 난수 생성기 (mulberry32) - 같은 시드는 항상 같은 도시를 생성
+export class SeededRandom {
+  // seed: 숫자 또는 문자열 (문자열은 해시해서 사용)
+  constructor(seed = 1) {
+    this.seed = SeededRandom.toSeed(seed);
+    this.state = this.seed;
+  }
+
+  // 문자열 해시 (FNV-1a 32비트)
+  static hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  static toSeed(seed) {
+    // URL의 '42'와 콘텐츠 파일의 42는 같은 시드
+    if (typeof seed === 'string' && /^\d+$/.test(seed)) seed = Number(seed);
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+    return SeededRandom.hash(String(seed));
+  }
+
+  // 0 이상 1 미만 - Math.random() 대체
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // min 이상 max 미만 실수
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // 0 이상 max 미만 정수
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  // 배열에서 임의 요소 하나
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  // probability 확률로 true
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // 같은 시드에서 용도별 독립 스트림 생성 - 한 곳의 생성 개수가 바뀌어도 다른 곳은 그대로 유지
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
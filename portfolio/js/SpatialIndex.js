@@ -0,0 +1,215 @@
+// SpatialIndex.js
+import * as THREE from 'three';
+
+// 균일 격자 공간 색인 - 건물, 소품, 충돌체의 월드 경계 상자를 한 번 계산해 XZ 칸에 등록
+// 프러스텀 컬링, 클릭/마우스 오버 선택, 충돌 광역 검사, 가까운 건물 찾기가 모두 이 색인을 거침
+// 항목마다 종류(type)를 붙여 두고 질의할 때 종류로 거름 (null이면 전부)
+export class SpatialIndex {
+  constructor(options = {}) {
+    const {
+      size = 200,    // 격자가 덮는 정사각형 한 변 (원점 중심, 밖의 항목은 가장자리 칸에 들어감)
+      cellSize = 16  // 칸 크기
+    } = options;
+
+    this.size = size;
+    this.cellSize = cellSize;
+    this.columns = Math.ceil(size / cellSize);
+
+    // 칸마다 항목 목록과 항목 전체를 감싸는 경계 상자 (광선/프러스텀 검사에서 빈 칸 건너뛰기)
+    this.cells = [];
+    for (let i = 0; i < this.columns * this.columns; i++) {
+      this.cells.push({ entries: [], bounds: new THREE.Box3() });
+    }
+
+    // item → entry
+    this.entries = new Map();
+
+    // 여러 칸에 걸친 항목을 한 질의에서 한 번만 돌려주기 위한 표식
+    this.stamp = 0;
+
+    // 재사용 객체
+    this.point = new THREE.Vector3();
+  }
+
+  toColumn(value) {
+    const column = Math.floor((value + this.size / 2) / this.cellSize);
+    return THREE.MathUtils.clamp(column, 0, this.columns - 1);
+  }
+
+  // 사각 영역에 걸친 칸마다 callback(cell)
+  forEachCell(minX, minZ, maxX, maxZ, callback) {
+    const startColumn = this.toColumn(minX);
+    const endColumn = this.toColumn(maxX);
+    const startRow = this.toColumn(minZ);
+    const endRow = this.toColumn(maxZ);
+
+    for (let row = startRow; row <= endRow; row++) {
+      for (let column = startColumn; column <= endColumn; column++) {
+        callback(this.cells[row * this.columns + column]);
+      }
+    }
+  }
+
+  // bounds: Box3 또는 Object3D (Object3D면 지금의 월드 경계 상자를 계산해 저장)
+  insert(item, bounds, type = null) {
+    if (this.entries.has(item)) this.remove(item);
+
+    const box = bounds.isBox3 ? bounds.clone() : new THREE.Box3().setFromObject(bounds);
+    if (box.isEmpty()) return null;
+
+    const entry = { item, type, bounds: box, stamp: 0 };
+    this.entries.set(item, entry);
+
+    this.forEachCell(box.min.x, box.min.z, box.max.x, box.max.z, cell => {
+      cell.entries.push(entry);
+      cell.bounds.union(box);
+    });
+    return entry;
+  }
+
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+
+    const { min, max } = entry.bounds;
+    this.forEachCell(min.x, min.z, max.x, max.z, cell => {
+      cell.entries.splice(cell.entries.indexOf(entry), 1);
+      // 칸 경계는 남은 항목으로 다시 계산
+      cell.bounds.makeEmpty();
+      cell.entries.forEach(other => cell.bounds.union(other.bounds));
+    });
+    this.entries.delete(item);
+  }
+
+  // 오브젝트가 바뀐 뒤 (지붕 추가 등) 경계 상자 다시 계산
+  refresh(item, bounds) {
+    const entry = this.entries.get(item);
+    if (entry) this.insert(item, bounds, entry.type);
+  }
+
+  get(item) {
+    return this.entries.get(item) || null;
+  }
+
+  getBounds(item) {
+    const entry = this.entries.get(item);
+    return entry ? entry.bounds : null;
+  }
+
+  // 칸을 돌며 조건에 맞는 항목을 한 번씩 모음
+  collect(minX, minZ, maxX, maxZ, type, test, out) {
+    const stamp = ++this.stamp;
+
+    this.forEachCell(minX, minZ, maxX, maxZ, cell => {
+      for (const entry of cell.entries) {
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        if ((type === null || entry.type === type) && test(entry)) out.push(entry.item);
+      }
+    });
+    return out;
+  }
+
+  // XZ 사각 영역과 겹치는 항목
+  queryBox(minX, minZ, maxX, maxZ, type = null, out = []) {
+    return this.collect(minX, minZ, maxX, maxZ, type, ({ bounds }) =>
+      bounds.max.x >= minX && bounds.min.x <= maxX &&
+      bounds.max.z >= minZ && bounds.min.z <= maxZ, out);
+  }
+
+  // 바닥 사각형까지의 수평 거리가 radius 이하인 항목
+  queryRadius(x, z, radius, type = null, out = []) {
+    return this.collect(x - radius, z - radius, x + radius, z + radius, type,
+      ({ bounds }) => this.distanceTo(bounds, x, z) <= radius, out);
+  }
+
+  // 화면(프러스텀) 안에 경계 상자가 걸치는 항목
+  queryFrustum(frustum, type = null, out = []) {
+    const stamp = ++this.stamp;
+
+    for (const cell of this.cells) {
+      if (cell.entries.length === 0 || !frustum.intersectsBox(cell.bounds)) continue;
+
+      for (const entry of cell.entries) {
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        if ((type === null || entry.type === type) && frustum.intersectsBox(entry.bounds)) out.push(entry.item);
+      }
+    }
+    return out;
+  }
+
+  // (x, z)에서 경계 상자 바닥 사각형까지의 수평 거리 (안쪽이면 0)
+  distanceTo(bounds, x, z) {
+    const dx = Math.max(bounds.min.x - x, 0, x - bounds.max.x);
+    const dz = Math.max(bounds.min.z - z, 0, z - bounds.max.z);
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  // maxDistance 안에서 가장 가까운 항목 (filter로 추가 조건)
+  nearest(x, z, maxDistance, type = null, filter = null) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+
+    this.queryRadius(x, z, maxDistance, type).forEach(item => {
+      if (filter && !filter(item)) return;
+
+      const distance = this.distanceTo(this.entries.get(item).bounds, x, z);
+      if (distance <= nearestDistance) {
+        nearest = item;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // 광선에 가장 먼저 맞는 항목 - 경계 상자로 후보를 추리고 가까운 순서로 실제 메시를 검사
+  // getObject(item)은 정밀 검사할 Object3D, 결과는 { item, intersection } 또는 null
+  // 여러 항목이 같은 오브젝트를 가리키면 (정적 배치) 그 오브젝트는 한 번만 검사
+  intersect(raycaster, type = null, getObject = item => item.mesh) {
+    const ray = raycaster.ray;
+    const stamp = ++this.stamp;
+    const candidates = [];
+
+    for (const cell of this.cells) {
+      if (cell.entries.length === 0 || !ray.intersectsBox(cell.bounds)) continue;
+
+      for (const entry of cell.entries) {
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        if (type !== null && entry.type !== type) continue;
+
+        // 광선 시작점이 상자 안이면 거리 0
+        const hit = entry.bounds.containsPoint(ray.origin) ? ray.origin : ray.intersectBox(entry.bounds, this.point);
+        if (hit) candidates.push({ entry, distance: hit.distanceTo(ray.origin) });
+      }
+    }
+
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    let best = null;
+    const tested = new Set();
+    for (const { entry, distance } of candidates) {
+      // 이미 찾은 교차점보다 먼 상자는 볼 필요 없음
+      if (best && distance > best.intersection.distance) break;
+
+      const object = getObject(entry.item);
+      if (tested.has(object)) continue;
+      tested.add(object);
+
+      const intersection = raycaster.intersectObject(object, true)[0];
+      if (intersection && (!best || intersection.distance < best.intersection.distance)) {
+        best = { item: entry.item, intersection };
+      }
+    }
+    return best;
+  }
+
+  clear() {
+    this.cells.forEach(cell => {
+      cell.entries = [];
+      cell.bounds.makeEmpty();
+    });
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,295 @@
+// StaticBatch.js
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// 정적 배치 - 움직이지 않는 건물들의 상세도(LOD) 단계마다 메시를 재질별로 하나씩 합치고, 창문은 인스턴스 메시 하나로 모음
+// 단계: 0 전체 모델 + 창문, 1 외벽 텍스처 모델 (건물별 외벽 텍스처를 한 장의 아틀라스로), 2 상자
+// 건물 번호(id)를 버텍스/인스턴스마다 기록해 두고, 선택은 교차점의 번호로, 강조와 단계 전환은 번호 구간의 속성 값으로 처리
+export class StaticBatch {
+  // 외벽 아틀라스 폭과 건물 사이 여백 (px)
+  static ATLAS_WIDTH = 512;
+  static ATLAS_PADDING = 2;
+
+  constructor(buildings) {
+    this.buildings = buildings;
+    this.group = new THREE.Group();
+    this.group.matrixAutoUpdate = false;
+
+    // 합친 메시마다 { mesh, level, ids, ranges } - ids: 버텍스별 건물 번호, ranges: 건물 번호 → [시작, 개수]
+    this.batches = [];
+    // 원본 공유 재질 → 배치용 복제 재질
+    this.materials = new Map();
+
+    // 건물마다 단계 전환 거리 (Building.createLevels에서 정한 값)와 현재 단계
+    this.levelDistances = buildings.map(building => building.lod.levels.map(level => level.distance));
+    this.levels = buildings.map(() => 0);
+    this.cameraPosition = new THREE.Vector3();
+
+    buildings.forEach(building => building.mesh.updateWorldMatrix(true, true));
+
+    this.createFacadeAtlas();
+    this.mergeMeshes();
+    this.mergeWindows();
+
+    buildings.forEach((building, id) => building.setBatch(this, id));
+  }
+
+  // 강조 발광(batchHighlight)과 단계 표시(batchVisible) 속성을 셰이더에 더함
+  // 다른 단계인 건물의 버텍스는 화면 밖 한 점으로 모아 그리지 않음
+  patchMaterial(material) {
+    material.onBeforeCompile = shader => {
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nattribute float batchHighlight;\nattribute float batchVisible;\nvarying float vBatchHighlight;')
+        .replace('#include <begin_vertex>', '#include <begin_vertex>\nvBatchHighlight = batchHighlight;')
+        .replace('#include <project_vertex>', '#include <project_vertex>\nif (batchVisible < 0.5) gl_Position = vec4(2.0, 2.0, 2.0, 1.0);');
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nvarying float vBatchHighlight;')
+        .replace('#include <emissivemap_fragment>', '#include <emissivemap_fragment>\ntotalEmissiveRadiance += vBatchHighlight;');
+    };
+    return material;
+  }
+
+  // 공유 재질의 배치용 복제본 - 원래 재질을 쓰는 다른 건물은 그대로
+  getMaterial(source) {
+    if (!this.materials.has(source)) {
+      this.materials.set(source, this.patchMaterial(source.clone()));
+    }
+    return this.materials.get(source);
+  }
+
+  // 건물별 외벽 텍스처(색, 발광)를 한 장에 모음 - 선반 배치, 건물마다 아틀라스 안의 사각형 기록
+  createFacadeAtlas() {
+    const { ATLAS_WIDTH: width, ATLAS_PADDING: padding } = StaticBatch;
+    const sources = this.buildings.filter(building => building.facadeMaterial);
+    this.atlasRects = new Map();
+    if (sources.length === 0) return;
+
+    let x = padding;
+    let y = padding;
+    let rowHeight = 0;
+    sources.forEach(building => {
+      const image = building.facadeMaterial.map.image;
+      if (x + image.width + padding > width) {
+        x = padding;
+        y += rowHeight + padding;
+        rowHeight = 0;
+      }
+      this.atlasRects.set(building, { x, y, width: image.width, height: image.height });
+      x += image.width + padding;
+      rowHeight = Math.max(rowHeight, image.height);
+    });
+    const height = y + rowHeight + padding;
+
+    const createCanvas = (getImage) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      this.atlasRects.forEach((rect, building) => context.drawImage(getImage(building), rect.x, rect.y));
+      return canvas;
+    };
+
+    const map = new THREE.CanvasTexture(createCanvas(building => building.facadeMaterial.map.image));
+    map.colorSpace = THREE.SRGBColorSpace;
+    const emissiveMap = new THREE.CanvasTexture(createCanvas(building => building.facadeMaterial.emissiveMap.image));
+
+    // 건물마다 같은 창문 재질에서 만든 값이므로 첫 건물 기준 (DayNightCycle이 발광 조절)
+    const first = sources[0].facadeMaterial;
+    this.facadeMaterial = this.patchMaterial(new THREE.MeshStandardMaterial({
+      map,
+      emissiveMap,
+      emissive: first.emissive.clone(),
+      emissiveIntensity: first.emissiveIntensity,
+      roughness: first.roughness,
+      metalness: first.metalness
+    }));
+    this.atlasSize = { width, height };
+  }
+
+  // 외벽 UV (0~1)를 아틀라스 안 건물 사각형으로 - 가장자리 텍셀 중심까지만 써서 이웃 건물이 번지지 않게 함
+  remapFacadeUV(geometry, building) {
+    const rect = this.atlasRects.get(building);
+    const { width, height } = this.atlasSize;
+    const uv = geometry.attributes.uv;
+
+    for (let i = 0; i < uv.count; i++) {
+      const u = (rect.x + 0.5 + uv.getX(i) * (rect.width - 1)) / width;
+      const v = 1 - (rect.y + 0.5 + (1 - uv.getY(i)) * (rect.height - 1)) / height;
+      uv.setXY(i, u, v);
+    }
+  }
+
+  // 단계마다 창문을 뺀 메시를 재질과 그림자 설정이 같은 것끼리 월드 좌표로 합침
+  mergeMeshes() {
+    const groups = new Map();
+
+    this.buildings.forEach((building, id) => {
+      [building.detail, building.facade, building.impostor].forEach((root, level) => {
+        root.traverse(child => {
+          if (!child.isMesh || child.isInstancedMesh || child.userData.isLogo) return;
+
+          const geometry = child.geometry.clone().applyMatrix4(child.matrixWorld);
+          let material = child.material;
+          if (material === building.facadeMaterial) {
+            this.remapFacadeUV(geometry, building);
+            material = this.facadeMaterial;
+          } else {
+            material = this.getMaterial(material);
+          }
+
+          const count = geometry.attributes.position.count;
+          geometry.setAttribute('batchHighlight', new THREE.BufferAttribute(new Float32Array(count), 1));
+          geometry.setAttribute('batchVisible', new THREE.BufferAttribute(new Float32Array(count).fill(level === 0 ? 1 : 0), 1));
+
+          const key = `${level}_${material.uuid}_${child.castShadow}_${child.receiveShadow}`;
+          if (!groups.has(key)) groups.set(key, { level, material, source: child, parts: [] });
+          groups.get(key).parts.push({ id, geometry });
+        });
+      });
+    });
+
+    groups.forEach(({ level, material, source, parts }, key) => {
+      // 속성 구성이 달라 합칠 수 없으면 조용히 사라지지 않도록 알림
+      const geometry = mergeGeometries(parts.map(part => part.geometry));
+      if (!geometry) throw new Error(`StaticBatch: cannot merge meshes for ${key}`);
+
+      // 합친 순서대로 버텍스 구간 기록 (건물 하나가 같은 재질 부품을 여러 개 가질 수 있음)
+      const ids = new Uint16Array(geometry.attributes.position.count);
+      const ranges = new Map();
+      let start = 0;
+      parts.forEach(({ id, geometry: part }) => {
+        const count = part.attributes.position.count;
+        ids.fill(id, start, start + count);
+        const range = ranges.get(id) || [start, 0];
+        range[1] += count;
+        ranges.set(id, range);
+        start += count;
+      });
+      parts.forEach(part => part.geometry.dispose());
+
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.castShadow = source.castShadow;
+      mesh.receiveShadow = source.receiveShadow;
+      mesh.matrixAutoUpdate = false;
+      // 선택/지면/카메라 광선은 전체 모델 단계에만 맞도록 (Building.markProxy와 같은 규칙)
+      if (level > 0) mesh.raycast = () => {};
+      this.group.add(mesh);
+      this.batches.push({ mesh, level, ids, ranges });
+    });
+  }
+
+  // 건물마다 따로 있던 창문 인스턴스를 하나로 - 창문 크기가 건물마다 달라 단위 상자에 크기를 곱함
+  mergeWindows() {
+    const sources = [];
+    this.buildings.forEach((building, id) => {
+      building.detail.traverse(child => {
+        if (child.isInstancedMesh) sources.push({ id, instances: child });
+      });
+    });
+    if (sources.length === 0) return;
+
+    const total = sources.reduce((sum, { instances }) => sum + instances.count, 0);
+    this.windowGeometry = new THREE.BoxGeometry(1, 1, 1);
+    this.windowMaterial = this.getMaterial(sources[0].instances.material);
+
+    const mesh = new THREE.InstancedMesh(this.windowGeometry, this.windowMaterial, total);
+    mesh.castShadow = false;
+    mesh.matrixAutoUpdate = false;
+    // 창문은 몸체 표면에 붙어 있으므로 선택/카메라 광선은 몸체로 충분 (수천 개 인스턴스 검사 생략)
+    mesh.raycast = () => {};
+
+    const ids = new Uint16Array(total);
+    const ranges = new Map();
+    mesh.geometry.setAttribute('batchHighlight', new THREE.InstancedBufferAttribute(new Float32Array(total), 1));
+    mesh.geometry.setAttribute('batchVisible', new THREE.InstancedBufferAttribute(new Float32Array(total).fill(1), 1));
+
+    const matrix = new THREE.Matrix4();
+    const scale = new THREE.Matrix4();
+    let index = 0;
+    sources.forEach(({ id, instances }) => {
+      const { width, height, depth } = instances.geometry.parameters;
+      scale.makeScale(width, height, depth);
+
+      const start = index;
+      for (let i = 0; i < instances.count; i++) {
+        instances.getMatrixAt(i, matrix);
+        matrix.premultiply(instances.matrixWorld).multiply(scale);
+        mesh.setMatrixAt(index++, matrix);
+      }
+      ids.fill(id, start, index);
+      const range = ranges.get(id) || [start, 0];
+      range[1] += index - start;
+      ranges.set(id, range);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+
+    this.group.add(mesh);
+    this.batches.push({ mesh, level: 0, ids, ranges });
+  }
+
+  // 광선 교차점 → 건물 (버텍스 또는 인스턴스 번호로 조회)
+  getBuilding(intersection) {
+    const batch = this.batches.find(({ mesh }) => mesh === intersection.object);
+    if (!batch) return null;
+
+    const index = intersection.instanceId !== undefined ? intersection.instanceId : intersection.face.a;
+    return this.buildings[batch.ids[index]] || null;
+  }
+
+  // 건물 하나의 구간에 속성 값 채우기 - value(batch)가 null이면 그 메시는 건너뜀
+  fill(id, name, value) {
+    this.batches.forEach(batch => {
+      const range = batch.ranges.get(id);
+      if (!range) return;
+
+      const attribute = batch.mesh.geometry.attributes[name];
+      attribute.array.fill(value(batch), range[0], range[0] + range[1]);
+      attribute.needsUpdate = true;
+    });
+  }
+
+  // 건물 하나의 강조 발광 세기 (Building.applyHighlight와 같은 값) - 모든 단계에 적용
+  setHighlight(id, intensity) {
+    this.fill(id, 'batchHighlight', () => intensity);
+  }
+
+  // 매 프레임 - 카메라 거리로 건물마다 단계를 고름 (THREE.LOD와 같은 기준)
+  // 단계가 바뀐 건물만 표시 속성을 다시 올림
+  update(camera) {
+    this.cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+
+    this.buildings.forEach((building, id) => {
+      const distances = this.levelDistances[id];
+      const distance = this.cameraPosition.distanceTo(building.mesh.position) / camera.zoom;
+
+      let level = 0;
+      while (level + 1 < distances.length && distance >= distances[level + 1]) level++;
+      if (level === this.levels[id]) return;
+
+      this.levels[id] = level;
+      this.fill(id, 'batchVisible', batch => (batch.level === level ? 1 : 0));
+    });
+  }
+
+  dispose() {
+    this.batches.forEach(({ mesh }) => {
+      if (mesh.isInstancedMesh) mesh.dispose();
+      else mesh.geometry.dispose();
+    });
+    if (this.windowGeometry) this.windowGeometry.dispose();
+    this.materials.forEach(material => material.dispose());
+    if (this.facadeMaterial) {
+      this.facadeMaterial.map.dispose();
+      this.facadeMaterial.emissiveMap.dispose();
+      this.facadeMaterial.dispose();
+      this.facadeMaterial = null;
+    }
+
+    this.group.removeFromParent();
+    this.batches = [];
+    this.materials.clear();
+    this.atlasRects.clear();
+    this.buildings = [];
+    this.windowMaterial = null;
+  }
+}
@@ -0,0 +1,27 @@
+// Toast.js
+// 짧은 알림 메시지 (게임패드 연결 등)
+export class Toast {
+  static container = null;
+
+  static show(message, duration = 2500) {
+    if (!Toast.container) {
+      Toast.container = document.createElement('div');
+      Toast.container.className = 'toast-container';
+      document.body.appendChild(Toast.container);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    Toast.container.appendChild(toast);
+
+    // Force reflow 후 표시 애니메이션
+    void toast.offsetWidth;
+    toast.classList.add('visible');
+
+    setTimeout(() => {
+      toast.classList.remove('visible');
+      setTimeout(() => toast.remove(), 300);
+    }, duration);
+  }
+}
@@ -0,0 +1,90 @@
+// VirtualJoystick.js
+// 터치 가상 조이스틱 - 영역 안에서 노브를 드래그해 아날로그 방향(-1 ~ 1) 입력
+export class VirtualJoystick {
+  constructor(element, onChange) {
+    this.element = element;
+    this.onChange = onChange; // (x, y) => {} - x: 오른쪽 +, y: 아래쪽(뒤) +
+
+    // 현재 입력값
+    this.value = { x: 0, y: 0 };
+    this.pointerId = null;
+
+    // 바인딩
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+
+    // 노브 생성
+    this.knob = document.createElement('div');
+    this.knob.className = 'joystick-knob';
+    this.element.appendChild(this.knob);
+
+    this.element.addEventListener('pointerdown', this.onPointerDown);
+    this.element.addEventListener('pointermove', this.onPointerMove);
+    this.element.addEventListener('pointerup', this.onPointerUp);
+    this.element.addEventListener('pointercancel', this.onPointerUp);
+  }
+
+  onPointerDown(event) {
+    if (this.pointerId !== null) return;
+
+    this.pointerId = event.pointerId;
+    this.element.setPointerCapture(event.pointerId);
+    this.updateFromEvent(event);
+  }
+
+  onPointerMove(event) {
+    if (event.pointerId !== this.pointerId) return;
+    this.updateFromEvent(event);
+  }
+
+  onPointerUp(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    this.pointerId = null;
+    this.setValue(0, 0);
+  }
+
+  updateFromEvent(event) {
+    const rect = this.element.getBoundingClientRect();
+    const radius = rect.width / 2;
+
+    // 중심 기준 오프셋을 반지름으로 정규화
+    let x = (event.clientX - (rect.left + radius)) / radius;
+    let y = (event.clientY - (rect.top + rect.height / 2)) / radius;
+
+    // 원 밖으로 나가면 가장자리로 제한
+    const length = Math.sqrt(x * x + y * y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+
+    this.setValue(x, y);
+  }
+
+  setValue(x, y) {
+    this.value.x = x;
+    this.value.y = y;
+
+    // 노브 위치 (영역 반지름의 절반까지 이동)
+    const travel = this.element.offsetWidth / 4;
+    this.knob.style.transform = `translate(-50%, -50%) translate(${x * travel}px, ${y * travel}px)`;
+
+    if (this.onChange) this.onChange(x, y);
+  }
+
+  dispose() {
+    this.element.removeEventListener('pointerdown', this.onPointerDown);
+    this.element.removeEventListener('pointermove', this.onPointerMove);
+    this.element.removeEventListener('pointerup', this.onPointerUp);
+    this.element.removeEventListener('pointercancel', this.onPointerUp);
+
+    if (this.knob && this.knob.parentNode) {
+      this.knob.parentNode.removeChild(this.knob);
+    }
+
+    this.knob = null;
+    this.onChange = null;
+  }
+}
@@ -0,0 +1,326 @@
+// WeatherSystem.js
+import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
+
+// 날씨 - 카메라 주변의 비/눈 파티클, 젖은 바닥, 안개 농도를 프리셋 단위로 부드럽게 전환
+// 파티클 낙하와 반복 배치는 모두 셰이더에서 처리 (매 프레임 버퍼 갱신 없음)
+export class WeatherSystem {
+  static CLEAR = 'clear';
+  static RAIN = 'rain';
+  static SNOW = 'snow';
+  static FOG = 'fog';
+
+  // rain/snow: 파티클 양, wetness: 젖은 바닥, snowCover: 눈 덮인 바닥, overcast: 흐린 하늘
+  static PRESETS = {
+    clear: { rain: 0, snow: 0, wetness: 0, snowCover: 0, overcast: 0, fogNear: 70, fogFar: 150 },
+    rain: { rain: 1, snow: 0, wetness: 1, snowCover: 0, overcast: 0.6, fogNear: 30, fogFar: 110 },
+    snow: { rain: 0, snow: 1, wetness: 0, snowCover: 0.7, overcast: 0.4, fogNear: 25, fogFar: 100 },
+    fog: { rain: 0, snow: 0, wetness: 0.3, snowCover: 0, overcast: 0.5, fogNear: 5, fogFar: 50 }
+  };
+
+  // 눈 덮인 바닥 색상
+  static SNOW_COLOR = new THREE.Color(0xf7f9fb);
+
+  // 낙하 속도 배율의 단계 수 - 배율이 1/FALL_STEPS 단위이므로 낙하량(uFall)을
+  // 상자 높이 × FALL_STEPS마다 되감아도 모든 파티클이 상자 높이의 정수 배만큼 건너뛰어 이어짐
+  static FALL_STEPS = 50;
+
+  static PARTICLE_VERTEX_SHADER = `
+    uniform float uFall;
+    uniform vec2 uDrift;
+    uniform vec2 uSwayPhase;
+    uniform vec3 uCenter;
+    uniform vec3 uBox;
+    uniform float uSway;
+    uniform float uSize;
+    attribute float aSeed;
+    varying float vFade;
+
+    void main() {
+      vec3 p = position;
+      // 누적 이동량은 CPU에서 주기마다 되감아 전달 (오래 켜 두어도 float 정밀도 유지)
+      float speed = floor((0.8 + aSeed * 0.4) * FALL_STEPS + 0.5) / FALL_STEPS;
+      p.y -= uFall * speed;
+      p.xz += uDrift;
+      p.x += sin(uSwayPhase.x + aSeed * 6.2831) * uSway;
+      p.z += cos(uSwayPhase.y + aSeed * 6.2831) * uSway;
+
+      // 카메라를 중심으로 한 상자 안에서 반복
+      vec3 local = mod(p - uCenter, uBox) - uBox * 0.5;
+      vec4 mvPosition = modelViewMatrix * vec4(uCenter + local, 1.0);
+
+      gl_PointSize = uSize * (300.0 / -mvPosition.z);
+      gl_Position = projectionMatrix * mvPosition;
+
+      // 상자 가장자리에서 서서히 사라짐
+      vec3 edge = abs(local) / uBox;
+      vFade = 1.0 - smoothstep(0.35, 0.5, max(edge.x, max(edge.y, edge.z)));
+    }
+  `;
+
+  static PARTICLE_FRAGMENT_SHADER = `
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    uniform float uStreak;
+    varying float vFade;
+
+    void main() {
+      vec2 c = gl_PointCoord - 0.5;
+      float alpha;
+      if (uStreak > 0.5) {
+        // 빗줄기 - 가늘고 긴 선
+        alpha = (1.0 - smoothstep(0.02, 0.06, abs(c.x))) * (1.0 - smoothstep(0.3, 0.5, abs(c.y)));
+      } else {
+        // 눈송이 - 부드러운 원
+        alpha = 1.0 - smoothstep(0.25, 0.5, length(c));
+      }
+
+      alpha *= uOpacity * vFade;
+      if (alpha < 0.01) discard;
+      gl_FragColor = vec4(uColor, alpha);
+    }
+  `;
+
+  constructor(scene, camera, renderer, options = {}) {
+    const {
+      preset = WeatherSystem.CLEAR,
+      transition = 3,        // 프리셋 전환 시간 (초)
+      sun = null,            // 흐린 날씨에 어두워지는 태양광
+      groundMaterials = [],  // 비에 젖고 눈에 덮이는 바닥 재질
+      random = new SeededRandom('weather')
+    } = options;
+
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.sun = sun;
+    this.transition = transition;
+    this.random = random;
+
+    // 현재 값은 목표 프리셋을 향해 매 프레임 보간
+    this.preset = WeatherSystem.PRESETS[preset] ? preset : WeatherSystem.CLEAR;
+    this.current = { ...WeatherSystem.PRESETS[this.preset] };
+    this.target = WeatherSystem.PRESETS[this.preset];
+
+    // 바닥 재질 원래 값
+    this.groundMaterials = groundMaterials.map(material => ({
+      material,
+      color: material.color.clone(),
+      roughness: material.roughness,
+      metalness: material.metalness
+    }));
+
+    // 재사용 색상
+    this.skyColor = new THREE.Color();
+    this.grayColor = new THREE.Color();
+
+    this.rain = this.createParticles({
+      count: 6000,
+      box: new THREE.Vector3(60, 40, 60),
+      fallSpeed: 28,
+      wind: new THREE.Vector2(2, 0.5),
+      sway: 0,
+      size: 1.2,
+      color: 0xaec4d6,
+      streak: true
+    });
+
+    this.snow = this.createParticles({
+      count: 4000,
+      box: new THREE.Vector3(60, 40, 60),
+      fallSpeed: 2.5,
+      wind: new THREE.Vector2(0.6, 0.2),
+      sway: 0.8,
+      size: 0.5,
+      color: 0xffffff,
+      streak: false
+    });
+
+    // 바인딩
+    this.onControlsClick = this.onControlsClick.bind(this);
+
+    this.createControls();
+    this.apply();
+  }
+
+  createParticles({ count, box, fallSpeed, wind, sway, size, color, streak }) {
+    const positions = new Float32Array(count * 3);
+    const seeds = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = this.random.range(0, box.x);
+      positions[i * 3 + 1] = this.random.range(0, box.y);
+      positions[i * 3 + 2] = this.random.range(0, box.z);
+      seeds[i] = this.random.next();
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('aSeed', new THREE.BufferAttribute(seeds, 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uFall: { value: 0 },
+        uDrift: { value: new THREE.Vector2() },
+        uSwayPhase: { value: new THREE.Vector2() },
+        uCenter: { value: new THREE.Vector3() },
+        uBox: { value: box },
+        uSway: { value: sway },
+        uSize: { value: size },
+        uColor: { value: new THREE.Color(color) },
+        uOpacity: { value: 0 },
+        uStreak: { value: streak ? 1 : 0 }
+      },
+      defines: { FALL_STEPS: WeatherSystem.FALL_STEPS.toFixed(1) },
+      vertexShader: WeatherSystem.PARTICLE_VERTEX_SHADER,
+      fragmentShader: WeatherSystem.PARTICLE_FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    // 셰이더에서 카메라 주변으로 옮기므로 원래 경계로 컬링하지 않음
+    points.frustumCulled = false;
+    points.visible = false;
+    points.userData.count = count;
+    points.userData.fallSpeed = fallSpeed;
+    points.userData.wind = wind;
+    this.scene.add(points);
+
+    return points;
+  }
+
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.className = 'weather-control';
+
+    this.buttons = Object.keys(WeatherSystem.PRESETS).map(preset => {
+      const button = document.createElement('button');
+      button.textContent = preset.charAt(0).toUpperCase() + preset.slice(1);
+      button.dataset.preset = preset;
+      this.controls.appendChild(button);
+      return button;
+    });
+
+    // 컨트롤 클릭이 건물 클릭 처리(onMouseClick)까지 전달되지 않도록
+    this.controls.addEventListener('click', this.onControlsClick);
+    document.body.appendChild(this.controls);
+    this.updateControls();
+  }
+
+  onControlsClick(event) {
+    event.stopPropagation();
+
+    const preset = event.target.dataset && event.target.dataset.preset;
+    if (preset) this.setPreset(preset);
+  }
+
+  updateControls() {
+    this.buttons.forEach(button => {
+      button.classList.toggle('active', button.dataset.preset === this.preset);
+    });
+  }
+
+  // 프리셋 변경 - transition 초에 걸쳐 전환
+  setPreset(preset) {
+    if (!WeatherSystem.PRESETS[preset]) return;
+
+    this.preset = preset;
+    this.target = WeatherSystem.PRESETS[preset];
+    this.updateControls();
+  }
+
+  // 파티클 양에 따라 표시 개수와 투명도 조절
+  updateParticles(points, amount) {
+    points.visible = amount > 0.01;
+    if (!points.visible) return;
+
+    points.geometry.setDrawRange(0, Math.ceil(points.userData.count * amount));
+
+    const uniforms = points.material.uniforms;
+    uniforms.uCenter.value.copy(this.camera.position);
+    uniforms.uOpacity.value = Math.min(1, amount * 1.5) * 0.7;
+  }
+
+  // 낙하, 바람, 흔들림 누적 - 각각 한 바퀴(상자 크기, 2π)마다 되감음
+  advanceParticles(points, delta) {
+    const { fallSpeed, wind } = points.userData;
+    const { uFall, uDrift, uSwayPhase, uBox } = points.material.uniforms;
+    const box = uBox.value;
+
+    uFall.value = (uFall.value + fallSpeed * delta) % (box.y * WeatherSystem.FALL_STEPS);
+    uDrift.value.set(
+      (uDrift.value.x + wind.x * delta) % box.x,
+      (uDrift.value.y + wind.y * delta) % box.z
+    );
+    uSwayPhase.value.set(
+      (uSwayPhase.value.x + 1.5 * delta) % (Math.PI * 2),
+      (uSwayPhase.value.y + 1.2 * delta) % (Math.PI * 2)
+    );
+  }
+
+  // 현재 값 적용 - 하루 주기가 하늘/태양을 갱신한 뒤 호출
+  apply() {
+    const { rain, snow, wetness, snowCover, overcast, fogNear, fogFar } = this.current;
+
+    this.updateParticles(this.rain, rain);
+    this.updateParticles(this.snow, snow);
+
+    // 안개 거리와 흐린 하늘 (현재 하늘색을 회색 쪽으로)
+    if (this.scene.fog) {
+      this.scene.fog.near = fogNear;
+      this.scene.fog.far = fogFar;
+    }
+
+    if (overcast > 0) {
+      this.renderer.getClearColor(this.skyColor);
+      const luminance = this.skyColor.r * 0.3 + this.skyColor.g * 0.59 + this.skyColor.b * 0.11;
+      this.grayColor.setScalar(luminance * 0.9);
+      this.skyColor.lerp(this.grayColor, overcast);
+
+      this.renderer.setClearColor(this.skyColor);
+      if (this.scene.fog) this.scene.fog.color.copy(this.skyColor);
+      if (this.sun) this.sun.intensity *= 1 - overcast * 0.6;
+    }
+
+    // 바닥 - 젖으면 어둡고 매끈하게, 눈이 오면 하얗게
+    this.groundMaterials.forEach(({ material, color, roughness, metalness }) => {
+      material.color.copy(color).multiplyScalar(1 - wetness * 0.35);
+      material.color.lerp(WeatherSystem.SNOW_COLOR, snowCover);
+      material.roughness = THREE.MathUtils.lerp(roughness, 0.25, wetness);
+      material.metalness = THREE.MathUtils.lerp(metalness, 0.35, wetness);
+    });
+  }
+
+  update(delta) {
+    this.advanceParticles(this.rain, delta);
+    this.advanceParticles(this.snow, delta);
+
+    // 목표 프리셋을 향해 보간 (약 transition 초 안에 도달)
+    const step = Math.min(1, delta / this.transition * 3);
+    Object.keys(this.current).forEach(key => {
+      this.current[key] = THREE.MathUtils.lerp(this.current[key], this.target[key], step);
+    });
+
+    this.apply();
+  }
+
+  dispose() {
+    [this.rain, this.snow].forEach(points => {
+      if (!points) return;
+      this.scene.remove(points);
+      points.geometry.dispose();
+      points.material.dispose();
+    });
+
+    if (this.controls) {
+      this.controls.removeEventListener('click', this.onControlsClick);
+      if (this.controls.parentNode) this.controls.parentNode.removeChild(this.controls);
+    }
+
+    this.rain = null;
+    this.snow = null;
+    this.controls = null;
+    this.groundMaterials = [];
+  }
+}
@@ -1,18 +1,14 @@
 // main.js
 import { Portfolio } from './Portfolio.js';
+import { PortfolioContent } from './PortfolioContent.js';
+import { AssetLoadingManager } from './AssetLoadingManager.js';
+import { LoadingScreen } from './LoadingScreen.js';
 
+// 포트폴리오 콘텐츠 파일 경로
+const CONTENT_URL = './assets/data/portfolio.json';
 
-// 로딩 인디케이터 추가
-function createLoadingIndicator() {
-  const loading = document.createElement('div');
-  loading.classList.add('loading');
-  loading.innerHTML = `
-    <div class="loading-spinner"></div>
-    <h2>Loading your portfolio city...</h2>
-  `;
-  document.body.appendChild(loading);
-  return loading;
-}
+// 씬 구성 작업 이름 (로딩 항목으로 추적)
+const SCENE_TASK = 'city scene';
 
 // 전역 포트폴리오 인스턴스 선언
 let portfolio = null;
@@ -38,33 +34,68 @@ function cleanup() {
   }
 }
 
-// 페이지 로드 시 포트폴리오 초기화
-window.addEventListener('DOMContentLoaded', () => {
-  const loading = createLoadingIndicator();
-
-  // 리소스 로딩 시간을 주기 위해 약간의 지연 설정
-  setTimeout(() => {
-    try {
-      // 포트폴리오 생성
-      portfolio = new Portfolio('canvas-container');
-      console.log('포트폴리오가 성공적으로 초기화되었습니다!');
+// 에셋 로딩 및 포트폴리오 초기화
+async function startPortfolio() {
+  const loadingScreen = new LoadingScreen();
+  const assets = new AssetLoadingManager();
 
-      // 캐릭터 모드 초기화
-      portfolio.initCharacterMode();
+  assets.onProgress = (ratio) => loadingScreen.setProgress(ratio);
 
-      // 리사이즈 이벤트 등록
-      window.addEventListener('resize', debouncedResize);
+  assets.onComplete = (failedItems) => {
+    // 이후 추가 로딩(지연 로드 에셋)에는 로딩 화면을 다시 띄우지 않음
+    assets.onComplete = null;
 
-      // 페이지 언로드 시 정리
-      window.addEventListener('beforeunload', cleanup);
-    } catch (error) {
-      console.error('포트폴리오 초기화 중 오류:', error);
+    if (failedItems.length === 0) {
+      // 첫 프레임이 렌더링된 뒤 로딩 화면 숨김
+      requestAnimationFrame(() => loadingScreen.hide());
+      return;
     }
 
-    // 로딩 인디케이터 제거
-    loading.style.opacity = '0';
-    setTimeout(() => {
-      loading.remove();
-    }, 500);
-  }, 1500);
-});
\ No newline at end of file
+    loadingScreen.showError(failedItems, {
+      onRetry: () => {
+        loadingScreen.remove();
+        cleanup();
+        startPortfolio();
+      },
+      // 씬이 만들어졌으면 실패한 에셋 없이 계속 진행 가능
+      onContinue: portfolio ? () => {} : null
+    });
+  };
+
+  // 씬 구성이 끝날 때까지 로딩 완료로 간주하지 않음
+  assets.beginTask(SCENE_TASK);
+
+  try {
+    // 콘텐츠 파일 로드
+    const content = await PortfolioContent.load(CONTENT_URL, assets.manager);
+
+    // 포트폴리오 생성 - URL의 ?seed=, ?weather=, ?quality= 값이 콘텐츠 파일 설정보다 우선
+    const params = new URLSearchParams(window.location.search);
+    portfolio = new Portfolio('canvas-container', content, assets.manager, {
+      seed: params.get('seed') ?? content.seed,
+      weather: params.get('weather') ?? content.weather.preset,
+      quality: params.get('quality') ?? content.quality
+    });
+    console.log('포트폴리오가 성공적으로 초기화되었습니다!');
+
+    // 캐릭터 모드 초기화
+    portfolio.initCharacterMode();
+
+    // 리사이즈 이벤트 등록
+    window.addEventListener('resize', debouncedResize);
+
+    assets.endTask(SCENE_TASK);
+  } catch (error) {
+    console.error('포트폴리오 초기화 중 오류:', error);
+    cleanup();
+    assets.failTask(SCENE_TASK);
+  }
+}
+
+// 페이지 로드 시 포트폴리오 초기화
+window.addEventListener('DOMContentLoaded', () => {
+  startPortfolio();
+
+  // 페이지 언로드 시 정리
+  window.addEventListener('beforeunload', cleanup);
+});